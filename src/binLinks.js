@@ -0,0 +1,54 @@
+// links in node_modules/.bin
+// when two root dependencies have a binary with the same name,
+// the winner is chosen with "binPreferences" in package.json or with --prefer-bin
+// example: { "binPreferences": { "tsc": "typescript" } }
+
+// returns a list of [binName, binPath]
+// "bin": "cli.js" is named like the package, without the scope
+// https://docs.npmjs.com/cli/v10/configuring-npm/package-json#bin
+export function binEntries(pkg, pkgName) {
+  if (typeof pkg.bin == 'string') return [[pkgName.replace(/^@[^/]+\//, ''), pkg.bin]];
+  if (pkg.bin && typeof pkg.bin == 'object') return Object.entries(pkg.bin);
+  return [];
+}
+
+// "binName=pkgName" strings of --prefer-bin -> { binName: pkgName }
+export function parseBinPreferences(list) {
+  const preferences = {};
+  for (const item of list) {
+    const eq = item.indexOf('=');
+    if (eq < 1 || eq == item.length - 1) {
+      throw new Error(`invalid --prefer-bin ${item}. expected: binName=packageName`);
+    }
+    preferences[item.slice(0, eq)] = item.slice(eq + 1);
+  }
+  return preferences;
+}
+
+// candidates: Map of binName -> list of { pkgName, nameVersion, linkTarget }
+// preferences: { binName: pkgName }
+// returns { links: Map of binName -> winner, collisions: list of { binName, winner, losers, preferred, resolved } }
+// without a preference, the first package by name wins, so the result does not depend on the install order
+export function chooseBinLinks(candidates, preferences = {}) {
+  const links = new Map();
+  const collisions = [];
+  for (const [binName, list] of candidates) {
+    const sorted = [...list].sort((a, b) => a.pkgName < b.pkgName ? -1 : a.pkgName > b.pkgName ? 1 : 0);
+    const preferred = Object.hasOwn(preferences, binName) ? preferences[binName] : null;
+    const winner = sorted.find(c => c.pkgName == preferred) || sorted[0];
+    links.set(binName, winner);
+    // the same target is no collision
+    const losers = sorted.filter(c => c != winner && c.linkTarget != winner.linkTarget);
+    if (losers.length == 0) continue;
+    collisions.push({ binName, winner, losers, preferred, resolved: winner.pkgName == preferred });
+  }
+  return { links, collisions };
+}
+
+// binDir: node_modules/.bin of the root package or of a workspace
+export function formatBinCollision({ binName, winner, losers, preferred, resolved, binDir = 'node_modules/.bin' }) {
+  const text = `collision on ${binDir}/${binName}: preferring ${winner.nameVersion} over ${losers.map(c => c.nameVersion).join(', ')}`;
+  if (resolved) return `${text}. from binPreferences`;
+  if (preferred != null) return `${text}. preferred package ${preferred} has no binary ${binName}`;
+  return `${text}. use "binPreferences" in package.json or --prefer-bin ${binName}=<package> to change this`;
+}
@@ -0,0 +1,155 @@
+// wrapper scripts for node_modules/.bin
+// pnpm uses wrapper scripts, similar to nixpkgs wrapper scripts
+// see also
+// https://github.com/pnpm/pnpm/issues/6937
+
+// how the wrapper finds the interpreter of "#!/usr/bin/env node" scripts
+// portable: look up the interpreter in $PATH when the wrapper runs
+// absolute: use the absolute path of the interpreter at install time.
+//   in the nix store, all calls to binaries should use absolute paths
+export const binShimModeList = ['portable', 'absolute'];
+
+export function parseShebang(fileText) {
+  // parse shebang line of script file
+  // note: shebang line length is limited, usually to 127 bytes
+  // based on https://github.com/pnpm/cmd-shim
+  // see also https://github.com/npm/cmd-shim
+  // examples:
+  // "#!/bin/sh" -> ["/bin/sh", ""]
+  // "#! /usr/bin/bash a b c" -> ["/usr/bin/bash", " a b c"]
+  // "#! /usr/bin/env -S bash a b c" -> ["bash", " a b c"]
+  // "#! /usr/bin/env -Sbash a b c" -> ["bash", " a b c"]
+  const shebangExpr = /^#!\s*(?:\/usr\/bin\/env\s+(?:-S)?)?\s*(\S+)(.*)$/;
+  let firstLineEnd = fileText.indexOf('\n');
+  if (firstLineEnd == -1) firstLineEnd = fileText.length;
+  const firstLine = fileText.slice(0, firstLineEnd).trimRight();
+  const shebang = firstLine.match(shebangExpr);
+  if (!shebang) return null;
+  const [_, arg0, args] = shebang;
+  return [arg0, args];
+}
+
+// returns the text of the wrapper script
+// linkTarget: target of the symlink in node_modules/.bin
+// storeDir: name of the virtual store, usually ".pnpm"
+// shebang: result of parseShebang
+// interpreterPath: absolute path of the interpreter, or null to look it up at run time
+// nested: the wrapper is in node_modules/.pnpm/${pkgStoreName}/node_modules/.bin
+//   for the lifecycle scripts of that package, and linkTarget is ../../../${depStoreName}/node_modules/...
+// workspaceStorePath: the wrapper is in packages/foo/node_modules/.bin of a workspace,
+//   this is the relative path to the shared node_modules/.pnpm, like ../../../../node_modules/.pnpm
+export function binShimScript({ linkTarget, storeDir, shebang, interpreterPath = null, nested = false, workspaceStorePath = null }) {
+  // relative path from the .bin directory to node_modules/.pnpm
+  const storePath = workspaceStorePath || (nested ? '../../..' : `../${storeDir}`);
+
+  // linkTarget: ${storePath}/${pkgStoreName}/node_modules/...
+  const pkgStoreName = linkTarget.slice(storePath.length + 1).split("/")[0];
+
+  // const pkgName = (linkTargetParts[1][0] == "@") ? linkTargetParts[1].split("/").slice(0, 2).join("/") : linkTargetParts[1].split("/")[0];
+  const pkgName = pkgStoreName
+
+  const linkTargetClean = linkTarget.replace(/\/(?:\.\/)+/g, "/"); // replace /./ with /
+
+  // $b: absolute path to node_modules/.bin
+  // $p: absolute path to node_modules/.pnpm
+  // $n: absolute path to node_modules/.pnpm/${pkgStoreName}/node_modules
+  const linkTargetShell = (
+    // resolve parent path from $b to $n
+    linkTargetClean.startsWith(`${storePath}/${pkgStoreName}/node_modules/`) ? ("$n" + linkTargetClean.slice(`${storePath}/${pkgStoreName}/node_modules`.length)) :
+    // resolve parent path from $b to $p
+    linkTargetClean.startsWith(`${storePath}/`) ? ("$p" + linkTargetClean.slice(storePath.length)) :
+    // keep absolute path
+    linkTargetClean.startsWith("/") ? linkTargetClean :
+    // use relative path to $b
+    ("$b/" + linkTargetClean)
+  );
+
+  const linkTargetShellDir = linkTargetShell.replace(/\/[^/]+$/, '');
+
+  const wrapperScriptLines = [
+    '#!/bin/sh',
+    '',
+    'set -e',
+    '',
+    'b="$(readlink -f "$(dirname "$0")")"', // absolute path of node_modules/.bin
+    (
+      workspaceStorePath ? `p="$(readlink -f "$b/${workspaceStorePath}")"` :
+      nested ? 'p="$(dirname "$(dirname "$(dirname "$b")")")"' :
+      `p="$(dirname "$b")/${storeDir}"`
+    ), // absolute path of node_modules/.pnpm
+    `n="$p/${pkgStoreName}/node_modules"`,
+    '',
+    [
+      'export NODE_PATH="',
+      ...(
+        // example:
+        // linkTargetShellDir = "$n/somepkg/dist/bin"
+        // -> add paths:
+        // "$n/somepkg/dist/bin/node_modules"
+        // "$n/somepkg/dist/node_modules"
+        linkTargetShellDir.startsWith(`$n/${pkgName}/`)
+        ? (
+          linkTargetShellDir.slice(`$n/${pkgName}/`.length).split('/').map(
+            (_val, idx, arr) => `$n/${pkgName}/${arr.slice(0, arr.length - idx).join('/')}/node_modules:`
+          )
+        )
+        : []
+      ),
+      `$n/${pkgName}/node_modules:`,
+      `$n:`,
+      '$p/node_modules:',
+      '$NODE_PATH"',
+    ].join('\\\n'),
+    '',
+
+    //`# debug`,
+    //`echo "0: $0"`,
+    //`echo "b: $b"`,
+    //`echo "p: $p"`,
+    //`echo "a: $a"`,
+    //`echo "NODE_PATH: $NODE_PATH"`,
+  ];
+
+  if (!shebang) {
+    // no shebang. just exec the file with custom NODE_PATH
+    wrapperScriptLines.push(`exec "${linkTargetShell}" "$@"`);
+  }
+  else {
+    const [arg0, args] = shebang;
+    if (arg0[0] == '/') {
+      // absolute path to the arg0 executable
+      wrapperScriptLines.push(`exec ${arg0}${args} "${linkTargetShell}" "$@"`);
+    }
+    else {
+      // executable name via "/usr/bin/env" or "/usr/bin/env -S"
+      // prefer an executable in node_modules/.bin, like "#!/usr/bin/env tsx"
+      wrapperScriptLines.push(
+        `[ -x "$b/${arg0}" ] &&`,
+        `exec "$b/${arg0}"${args} "${linkTargetShell}" "$@"`,
+        '',
+      );
+
+      // no. this is handled by nodejs-hide-symlinks
+      // with a node wrapper in $PATH
+      //...(arg0 == 'node' ? [
+      //  `LD_PRELOAD=/nix/store/i2wh1abgq9wqsxgpsjgydfhf9n54f06f-nodejs-hide-symlinks-unstable-2021-09-29/lib/libnodejs_hide_symlinks.so \\`,
+      //] : []),
+
+      if (interpreterPath) {
+        wrapperScriptLines.push(`exec "${interpreterPath}"${args} "${linkTargetShell}" "$@"`);
+      }
+      else {
+        // like "/usr/bin/env", but with a useful error message
+        wrapperScriptLines.push(
+          `if ! command -v ${arg0} >/dev/null 2>&1; then`,
+          `  echo "$0: interpreter not found in PATH: ${arg0}" >&2`,
+          '  exit 127',
+          'fi',
+          `exec ${arg0}${args} "${linkTargetShell}" "$@"`,
+        );
+      }
+    }
+  }
+
+  return wrapperScriptLines.join('\n') + '\n';
+}
@@ -0,0 +1,160 @@
+#! /usr/bin/env node
+
+// command line interface, see install in index.js
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import minimist from 'minimist';
+
+import { install, lockfileDefaultList, toArray } from './index.js';
+import { defaultStoreDir, importMethodList } from './store.js';
+import { defaultConcurrency } from './pipeline.js';
+import { driftExitCode } from './drift.js';
+import { binShimModeList } from './binShim.js';
+import { parseBinPreferences } from './binLinks.js';
+import { reporterModeList } from './reporter.js';
+
+let enableDebug = false;
+
+const cliOptions = {
+  string: ['dir', 'lockfile', 'virtual-store-dir', 'content-store', 'package-import-method', 'offline-mirror', 'registry',
+    'target-os', 'target-cpu', 'target-libc', 'concurrency', 'bin-shims', 'prefer-bin', 'pre-install-links',
+    'reporter'],
+  boolean: ['run-scripts', 'ignore-scripts', 'prod', 'dev', 'skip-integrity', 'fetch', 'lockfile-check', 'strict-bins',
+    'verbose', 'help'],
+  alias: { h: 'help', production: 'prod' },
+  default: {
+    'lockfile-check': true,
+    'virtual-store-dir': '.pnpm',
+    'content-store': defaultStoreDir(),
+    'package-import-method': 'auto',
+    'concurrency': String(defaultConcurrency),
+    'bin-shims': 'portable',
+    'reporter': 'default',
+  },
+  unknown: arg => {
+    if (arg.startsWith('-')) throw new Error(`unknown option ${arg}. see --help`);
+    return true;
+  },
+};
+
+const cliUsage = `\
+usage: pnpm-install-only [options]
+
+install node_modules from a lockfile, without network access
+
+options:
+  --dir <path>          project directory with package.json (default: current directory)
+  --lockfile <path>     lockfile path, relative to --dir
+                        (default: first found of ${lockfileDefaultList.join(', ')})
+  --virtual-store-dir <name>
+                        name of the virtual store in node_modules (default: .pnpm)
+  --content-store <path>
+                        content-addressable store shared by all projects
+                        (default: ${defaultStoreDir()})
+  --no-content-store    unpack tarballs directly to node_modules
+  --package-import-method <method>
+                        how to import files from the content store:
+                        ${importMethodList.join(', ')} (default: auto = hardlink, else clone or copy)
+  --run-scripts         run lifecycle scripts (preinstall, install, postinstall, ...)
+                        of the root package and of dependencies.
+                        dependencies can be limited with "pnpm": { "onlyBuiltDependencies": [...] }
+                        in package.json
+  --ignore-scripts      do not run lifecycle scripts (default)
+  --prod, --production  do not install devDependencies.
+                        packages required by dependencies and devDependencies are installed
+  --dev                 install only devDependencies and their dependencies
+  --offline-mirror <dir>
+                        find tarballs of https:// URLs in a local directory, as
+                        <dir>/<name>/-/<name>-<version>.tgz or <dir>/<name>-<version>.tgz
+                        can be used multiple times
+  --fetch               download tarballs of https:// URLs not found in --offline-mirror
+  --registry <url>      download tarballs from this registry instead of the lockfile URLs.
+                        implies --fetch
+  --no-lockfile-check   install even when the lockfile is out of sync with package.json,
+                        or does not have the versions of "overrides" or "resolutions".
+                        by default, the install fails with exit code ${driftExitCode}
+  --bin-shims <mode>    how wrapper scripts in node_modules/.bin find the interpreter
+                        of "#!/usr/bin/env node" scripts. ${binShimModeList.join(', ')} (default: portable)
+                        portable: look up the interpreter in $PATH when the script runs
+                        absolute: use the absolute path of the interpreter at install time, for nix
+  --prefer-bin <bin>=<package>
+                        on a collision in node_modules/.bin, link the binary of this package.
+                        can be used multiple times. same as "binPreferences": { "<bin>": "<package>" }
+                        in package.json
+  --strict-bins         fail on collisions in node_modules/.bin without a preference
+  --pre-install-links <path>
+                        JSON or YAML file with symlinks to add to packages before lifecycle scripts run,
+                        relative to --dir. see readme
+  --skip-integrity      do not verify tarballs against the lockfile integrity. unsafe!
+  --target-os <os>      install optional dependencies for this os (default: ${process.platform})
+  --target-cpu <cpu>    install optional dependencies for this cpu (default: ${process.arch})
+  --target-libc <libc>  install optional dependencies for this libc: glibc, musl
+                        (default: detected on linux)
+  --concurrency <n>     number of packages to unpack, link or build in parallel
+                        (default: ${defaultConcurrency})
+  --reporter <mode>     output: ${reporterModeList.join(', ')} (default: default)
+                        ndjson: one JSON object per line and event
+                        progress: a progress bar, then warnings and the summary
+  --verbose             print debug output
+  -h, --help            show this help
+`;
+
+// cli options -> options of install
+function installOptions(args) {
+  return {
+    cwd: args.dir || '.',
+    lockfile: args.lockfile,
+    virtualStoreDir: args['virtual-store-dir'],
+    contentStore: args['content-store'],
+    packageImportMethod: args['package-import-method'],
+    // scripts are opt-in. --ignore-scripts wins over --run-scripts
+    ignoreScripts: args['ignore-scripts'] || !args['run-scripts'],
+    prod: args.prod,
+    dev: args.dev,
+    offlineMirror: toArray(args['offline-mirror']),
+    fetch: args.fetch,
+    registry: args.registry,
+    lockfileCheck: args['lockfile-check'],
+    binShims: args['bin-shims'],
+    binPreferences: parseBinPreferences(toArray(args['prefer-bin'])),
+    strictBins: args['strict-bins'],
+    preInstallLinks: args['pre-install-links'],
+    skipIntegrity: args['skip-integrity'],
+    targetOs: args['target-os'],
+    targetCpu: args['target-cpu'],
+    targetLibc: args['target-libc'],
+    concurrency: Number(args.concurrency),
+    verbose: args.verbose,
+    reporter: args.reporter,
+  };
+}
+
+// command line arguments -> options of install, or null for --help
+// invalid options are checked by install
+export function parseArgs(argv) {
+  const args = minimist(argv, cliOptions);
+  return args.help ? null : installOptions(args);
+}
+
+async function main(argv) {
+  const options = parseArgs(argv);
+
+  if (options == null) {
+    process.stdout.write(cliUsage);
+    return;
+  }
+
+  enableDebug = options.verbose;
+
+  await install(options);
+}
+
+// only when run as a command, not when imported by the tests
+if (process.argv[1] && fs.realpathSync(process.argv[1]) == fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(enableDebug ? error : `error: ${error.message}`);
+    // a stale lockfile has its own exit code, so CI can tell it from a failed install
+    process.exit(error.code == 'ELOCKFILEDRIFT' ? driftExitCode : 1);
+  });
+}
@@ -0,0 +1,17 @@
+// package descriptors like "@scope/name@range", used by the lockfile parsers and the checks of package.json
+
+const defaultRegistry = 'https://registry.npmjs.org/';
+
+// "@scope/name@range" -> ["@scope/name", "range"]
+// "name" -> ["name", null]
+export function splitDescriptor(descriptor) {
+  const at = descriptor.indexOf('@', 1);
+  if (at == -1) return [descriptor, null];
+  return [descriptor.slice(0, at), descriptor.slice(at + 1)];
+}
+
+// URL of a package version on the npm registry, for lockfile entries without a resolved URL
+export function tarballUrl(name, version) {
+  const basename = name.replace(/^@[^/]+\//, '');
+  return `${defaultRegistry}${name}/-/${basename}-${version}.tgz`;
+}
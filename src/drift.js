@@ -0,0 +1,122 @@
+// check if the lockfile is in sync with package.json
+// compare the dependencies, devDependencies and optionalDependencies of package.json
+// with the root entry of the lockfile
+
+import { parseYaml } from './yaml.js';
+import { rootImporter } from './pnpmLock.js';
+import { yarnLockEntries } from './yarnLock.js';
+import { splitDescriptor } from './descriptor.js';
+
+export const depTypeList = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+// exit code of the cli when the lockfile is out of sync
+export const driftExitCode = 3;
+
+// return the dependencies of the lockfile root
+// { ranges: Map of name -> list of ranges, complete }
+// ranges: null when the lockfile has no ranges, only versions
+// complete: false when the lockfile has no root entry,
+// so we can not find extra packages in the lockfile
+// format: "npm", "pnpm" or "yarn"
+export function lockfileRootRanges(format, text) {
+  const ranges = new Map();
+  const add = (name, range) => {
+    if (!ranges.has(name)) ranges.set(name, []);
+    if (range != null) ranges.get(name).push(range);
+  };
+
+  if (format == 'npm') {
+    const pkgLock = JSON.parse(text);
+    if (pkgLock.packages) {
+      // v2, v3
+      const rootEntry = pkgLock.packages[''] || {};
+      for (const depType of depTypeList) {
+        for (const [name, range] of Object.entries(rootEntry[depType] || {})) add(name, range);
+      }
+      return { ranges, complete: true };
+    }
+    // v1 has only versions, and the root dependencies are mixed with hoisted dependencies
+    for (const name of Object.keys(pkgLock.dependencies || {})) ranges.set(name, null);
+    return { ranges, complete: false };
+  }
+
+  if (format == 'pnpm') {
+    const importer = rootImporter(parseYaml(text) || {});
+    for (const depType of depTypeList) {
+      for (const [name, value] of Object.entries(importer[depType] || {})) {
+        add(name, (value && typeof value == 'object') ? value.specifier : null);
+      }
+    }
+    return { ranges, complete: true };
+  }
+
+  if (format == 'yarn') {
+    const { isBerry, entries } = yarnLockEntries(text);
+    if (isBerry) {
+      // the workspace entry has the dependencies of package.json
+      // devDependencies and optionalDependencies are merged into dependencies
+      const root = Object.entries(entries).find(([key]) => /@workspace:\.$/.test(key));
+      if (root) {
+        const rootEntry = root[1];
+        for (const [name, range] of Object.entries(rootEntry.dependencies || {})) add(name, range);
+        return { ranges, complete: true };
+      }
+    }
+    // yarn classic has no root entry, only "name@range" keys of all packages
+    for (const key of Object.keys(entries)) add(...splitDescriptor(key));
+    return { ranges, complete: false };
+  }
+
+  throw new Error(`unknown lockfile format ${format}`);
+}
+
+// returns a list of { name, depType, packageRange, lockRange, problem }
+// problem: "missing" in lockfile, "extra" in lockfile, or "range" mismatch
+export function checkDrift(pkg, format, text) {
+  const { ranges, complete } = lockfileRootRanges(format, text);
+  const isBerry = (format == 'yarn' && complete);
+  const result = [];
+  const packageNames = new Set();
+  for (const depType of depTypeList) {
+    for (const [name, packageRange] of Object.entries(pkg[depType] || {})) {
+      // npm copies optionalDependencies to dependencies
+      if (packageNames.has(name)) continue;
+      packageNames.add(name);
+      if (!ranges.has(name)) {
+        result.push({ name, depType, packageRange, lockRange: null, problem: 'missing' });
+        continue;
+      }
+      const lockRanges = ranges.get(name);
+      // v1: we only know that the package is in the lockfile
+      if (lockRanges == null || lockRanges.length == 0) continue;
+      // package.json "a": "^1.0.0" is "a@npm:^1.0.0" in yarn berry
+      const expected = (isBerry && !/^[a-z]+:/.test(packageRange)) ? `npm:${packageRange}` : packageRange;
+      if (!lockRanges.includes(expected)) {
+        result.push({ name, depType, packageRange, lockRange: lockRanges.join(', '), problem: 'range' });
+      }
+    }
+  }
+  if (complete) {
+    for (const [name, lockRanges] of ranges) {
+      if (packageNames.has(name)) continue;
+      result.push({ name, depType: null, packageRange: null, lockRange: (lockRanges || []).join(', '), problem: 'extra' });
+    }
+  }
+  return result;
+}
+
+const problemText = {
+  missing: 'missing in lockfile',
+  extra: 'not in package.json',
+  range: 'range mismatch',
+};
+
+// format the result of checkDrift as a table
+export function formatDrift(drift) {
+  const rows = [
+    ['package', 'type', 'package.json', 'lockfile', 'problem'],
+    ...drift.map(d => [d.name, d.depType || '-', d.packageRange || '-', d.lockRange || '-', problemText[d.problem]]),
+  ];
+  const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+  return rows.map(row => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd()).join('\n');
+}
@@ -1,13 +1,37 @@
-#! /usr/bin/env node
-
-const startTime = Date.now();
-
-import { buildDepTree, parseNpmLockV2Project, LockfileType } from 'snyk-nodejs-lockfile-parser';
+// install node_modules from a lockfile
+//
+// import { install } from 'pnpm-install-only';
+// const { packages, timings, warnings } = await install({ cwd: 'path/to/project' });
+//
+// the command line interface is in cli.js
 
 import which from 'which';
 import fs from 'fs';
-import child_process from 'child_process';
 import path from 'path';
+import os from 'os';
+
+import { unpackTar } from './unpackTar.js';
+import { verifyIntegrity } from './integrity.js';
+import { defaultStoreDir, storePackage, importPackage, breakHardlinks, importMethodList } from './store.js';
+import { fileResolver, mirrorResolver, httpResolver, resolveDep } from './resolvers.js';
+import { currentPlatform, platformMismatch } from './platform.js';
+import { runScript, getScripts, scriptAllowlist, depScriptNames, rootScriptNames } from './lifecycle.js';
+import { createLimit, runDependencyOrder, defaultConcurrency } from './pipeline.js';
+import { parsePnpmLock } from './pnpmLock.js';
+import { parseYarnLock } from './yarnLock.js';
+import { lockTree, workspaceTree, pruneTree, resolveTreePeers } from './lockTree.js';
+import { checkDrift, formatDrift } from './drift.js';
+import { parseOverrides, checkOverrides, overridePathKey, formatOverrideIssue } from './overrides.js';
+import { parseShebang, binShimScript, binShimModeList } from './binShim.js';
+import { binEntries, chooseBinLinks, formatBinCollision } from './binLinks.js';
+import { readPreInstallLinks, preInstallLinksFor, addPreInstallLinks } from './preInstallLinks.js';
+import { emptyState, readInstallState, writeInstallState, installHash, pathExists, isComplete, isPending, staleEntries } from './installState.js';
+import { workspacePatterns, findWorkspaces } from './workspaces.js';
+import { resolveLockgraphPeers, formatPeerIssue } from './peers.js';
+import { walk_deptree, walk_lockgraph } from './walk.js';
+import { createReporter } from './reporter.js';
+
+export { createReporter };
 
 const read = filePath => fs.readFileSync(filePath, 'utf8');
 
@@ -17,227 +41,664 @@ const mkdir = filePath => {
   fs.mkdirSync(filePath, { recursive: true });
 };
 
-const spawn = (args, opts) => child_process.spawnSync(args[0], args.slice(1), { stdio: 'inherit', ...opts });
-
 const chmod = fs.chmodSync;
 
-const unpack = (archive, to) => {
-  mkdir(to);
-  console.log(`unpack: ${archive} -> ${to}`);
-  spawn([
-    'tar',
-    '-x',
-    '-f', archive,
-    '-C', to,
-    '--strip-components=1', // first component is always "package"
-  ]);
+// option with one or more values -> list
+export const toArray = value => value == null ? [] : [].concat(value);
+
+// opts.integrity: SRI string from the lockfile
+// opts.name: package name for error messages
+// returns the digest of the verified tarball
+const unpack = async (archive, to, opts = {}) => {
+  const data = await fs.promises.readFile(archive);
+  // verify before unpacking, so a bad tarball never reaches node_modules
+  const digest = opts.integrity ? verifyIntegrity(data, opts.integrity, opts.name || archive) : null;
+  // first component is always "package"
+  await unpackTar(archive, to, { strip: 1, data });
+  return digest;
 };
 
-const symlink = (linkTarget, linkPath) => {
-  console.log(`symlink: ${linkTarget} -> ${linkPath}`);
+const createSymlink = (linkTarget, linkPath) => {
   mkdir(path.dirname(linkPath));
   fs.symlinkSync(linkTarget, linkPath);
 };
 
-function parseShebang(fileText) {
-  // parse shebang line of script file
-  // note: shebang line length is limited, usually to 127 bytes
-  // based on https://github.com/pnpm/cmd-shim
-  // see also https://github.com/npm/cmd-shim
-  // examples:
-  // "#!/bin/sh" -> ["/bin/sh", ""]
-  // "#! /usr/bin/bash a b c" -> ["/usr/bin/bash", " a b c"]
-  // "#! /usr/bin/env -S bash a b c" -> ["bash", " a b c"]
-  // "#! /usr/bin/env -Sbash a b c" -> ["bash", " a b c"]
-  const shebangExpr = /^#!\s*(?:\/usr\/bin\/env\s+(?:-S)?)?\s*(\S+)(.*)$/;
-  let firstLineEnd = fileText.indexOf('\n');
-  if (firstLineEnd == -1) firstLineEnd = fileText.length;
-  const firstLine = fileText.slice(0, firstLineEnd).trimRight();
-  const shebang = firstLine.match(shebangExpr);
-  if (!shebang) return null;
-  const [_, arg0, args] = shebang;
-  return [arg0, args];
-}
+// name of the package directory in the virtual store, like pnpm
+// "@scope/name@1.0.0" -> "@scope+name@1.0.0"
+// "react-dom@18.2.0(react@18.2.0)" -> "react-dom@18.2.0_react@18.2.0"
+// "a@1.0.0(b@2.0.0)(c@3.0.0)" -> "a@1.0.0_b@2.0.0_c@3.0.0"
+const storeName = dep => (
+  `${dep.name}@${dep.version}` +
+  (dep.peerSuffix || '').replace(/\)$/, '').replace(/\)\(|\(|\)/g, '_')
+).replace(/[\\/:*?"<>|]/g, '+');
+
+// package-lock.json version 1, 2, 3
+async function getLockTree(packagePath, lockfilePath, opts = {}) {
+  const pkg = { name: 'package', version: '0.0.0', ...json(packagePath) };
+  // devDependencies are required to build the root package from source
+  // so we only skip them with --prod
+  const { tree, issues } = resolveTreePeers(pruneTree(lockTree(pkg, json(lockfilePath)), pkg, {
+    prod: opts.prod,
+    dev: opts.dev,
+  }));
 
-async function getDepgraph(packagePath, lockfilePath) {
-  const depgraph = await parseNpmLockV2Project(
-    read(packagePath),
-    read(lockfilePath),
-    {
-      // devDependencies are required to build the root package from source
-      includeDevDeps: true,
-
-      strictOutOfSync: true,
-
-      // only some optional deps have resolved+integrity values in lockfile
-      // but some packages require optional deps
-      // for example esbuild requires @esbuild/linux-x64
-      // @esbuild/linux-x64 has resolved and integrity values in lockfile
-      // and it has { "cpu": [ "x64" ], "os": [ "linux" ] }
-      // so we install optional deps when
-      // - they have resolved and integrity values
-      // - their cpu and os values match with the target platform
-      includeOptionalDeps: true,
-    }
-  );
-
-  // we need depgraphData to get GraphNode deps
-  // https://github.com/snyk/dep-graph/blob/master/src/core/types.ts
-  const depgraphData = depgraph.toJSON();
-
-  const depgraphNodesById = {};
-  for (const node of depgraphData.graph.nodes) {
-    depgraphNodesById[node.nodeId] = node;
-  }
-
-  depgraphData.nodesById = depgraphNodesById;
-
-  // 遍历依赖图
-  async function walk_depgraph(depgraphData, enter, _seen, depPath = []) {
-    // 是否为根包
-    const isRootPkg = depPath.length == 0
-
-    // 获取当前包的节点
-    const node = isRootPkg
-      ? depgraphData.graph.nodes[0]
-      : depgraphData.nodesById[depPath[depPath.length - 1].nameVersion]
-
-    // 获取当前包的依赖信息
-    const dep = isRootPkg ? {
-      nameVersion: node.pkgId,
-      name: node.pkgId.replace(/@[^@\/]*$/, ''),
-      version: node.pkgId.replace(/^.*@/, ''),
-      resolved: '',
-      integrity: '',
-    } : depPath[depPath.length - 1]
-
-    // 如果当前包是根包，则将根包信息添加到依赖路径中
-    if (isRootPkg) depPath[0] = dep;
-
-    async function recurse() {
-      // 获取当前包的依赖信息
-      for (const {nodeId: childNodeId} of node.deps) {
-        if (depPath.find(d => d.nameVersion == childNodeId)) {
-          //enableDebug && debug(`found cycle in graph: ${depPath.map(d => d.nameVersion).join('  ')}  ${childNodeId}`)
-          continue
-        }
+  return [
+    tree,
+    walk_deptree,
+    issues,
+  ]
+}
 
-        // 获取当前包的版本
-        const version = childNodeId.replace(/.*@/, '')
-        // 获取当前包的名称
-        const name = childNodeId.slice(0, -1*version.length - 1)
-        // 获取当前包的依赖信息
-        const node = depgraphData.nodesById[childNodeId]
-        // 当前包的下载地址
-        const resolved = node.info.labels.resolved
-        // 当前包的校验值
-        const integrity = node.info.labels.integrity
-        // 组装版本包名字符串
-        const childDep = {
-          nameVersion: childNodeId,
-          name,
-          version,
-          resolved,
-          integrity,
-        }
-        // 遍历当前包的依赖信息
-        await walk_depgraph(depgraphData, enter, _seen, depPath.concat([childDep]));
-      }
-    }
+// package-lock.json version 2, 3
+// trees of workspace packages, walked like the tree of the root package
+// returns a list of { pkg, tree, issues }
+// workspaceDirs are relative to rootDir
+function getWorkspaceTrees(rootDir, lockfilePath, workspaceDirs, opts = {}) {
+  const pkgLock = json(lockfilePath);
+  return workspaceDirs.map(dir => {
+    const pkg = { name: path.basename(dir), version: '0.0.0', ...json(path.join(rootDir, dir, 'package.json')) };
+    const { tree, issues } = resolveTreePeers(pruneTree(workspaceTree(pkg, pkgLock, dir), pkg, {
+      prod: opts.prod,
+      dev: opts.dev,
+    }));
+    return { pkg, tree, issues };
+  });
+}
 
-    await enter(dep, recurse, depPath);
+// pnpm-lock.yaml or yarn.lock
+// parseLockfile: parsePnpmLock or parseYarnLock
+// warn: called with the warnings of the lockfile parser
+async function getLockgraph(parseLockfile, packagePath, lockfilePath, opts = {}, warn = () => {}) {
+  const { lockgraph, issues } = resolveLockgraphPeers(parseLockfile(read(lockfilePath), {
+    pkg: json(packagePath),
+    prod: opts.prod,
+    dev: opts.dev,
+  }));
+  for (const warning of lockgraph.warnings) {
+    warn(warning);
   }
-
   return [
-    depgraphData,
-    walk_depgraph,
+    lockgraph,
+    walk_lockgraph,
+    issues,
   ]
 }
 
-async function getDeptree(lockfilePath) {
-  // https://github.com/snyk/nodejs-lockfile-parser/blob/master/lib/index.ts
-  const deptree = await buildDepTree(
-    read('package.json'),
-    read(lockfilePath),
-    true, // includeDev: devDependencies are required for build
-    lockfileTypeOfName[path.basename(lockfilePath)],
-    true, // strictOutOfSync
-    // buildDepTree does not support optional deps
-  );
 
-  async function walk_deptree(_this, enter, _seen, depPath = []) {
-    async function recurse() {
-      for (let key in _this.dependencies) {
-        if (depPath.find(d => d.name == key)) {
-          //enableDebug && debug(`found cycle in tree: ${depPath.map(d => d.nameVersion).join('  ')}  ${key}`)
-          continue
-        }
-        //enableDebug && debug(`no cycle in tree: ${depPath.map(d => d.nameVersion).join('  ')}  ${key}`)
-        await walk_deptree(_this.dependencies[key], enter, _seen, depPath.concat([_this]));
-      }
+export const lockfileDefaultList = [ 'pnpm-lock.yaml', 'yarn.lock', 'package-lock.json' ];
+
+// the new node_modules is built in stageDirName next to node_modules.
+// the old node_modules is kept in backupDirName until the install is done
+const stageDirName = '.node_modules-staging';
+const backupDirName = '.node_modules-previous';
+
+// leftovers of an interrupted install in dir
+// pending: the install was killed after the swap, before its scripts were done, see isPending
+function cleanupInterruptedInstall(dir, log, pending) {
+  const nodeModules = path.join(dir, 'node_modules');
+  const backupDir = path.join(dir, backupDirName);
+  if (pathExists(backupDir)) {
+    if (pathExists(nodeModules) && !pending) {
+      fs.rmSync(backupDir, { recursive: true, force: true });
+    }
+    else {
+      log(`restore ${nodeModules} from ${backupDir}`);
+      fs.rmSync(nodeModules, { recursive: true, force: true });
+      fs.renameSync(backupDir, nodeModules);
     }
-    await enter(_this, recurse, depPath.concat([_this]));
   }
-
-  return [
-    deptree,
-    walk_deptree,
-  ]
+  fs.rmSync(path.join(dir, stageDirName), { recursive: true, force: true });
 }
 
+// returns the path relative to dir
+function findLockfile(dir, debug) {
+  debug('auto-detect lockfile');
+  for (const p of lockfileDefaultList) {
+    if (!fs.existsSync(path.join(dir, p))) continue;
+    debug(`found lockfile ${p}`);
+    return p;
+  }
+  throw new Error(`not found lockfile. expected one of: ${lockfileDefaultList.join(', ')}`);
+}
 
+// options of install, see cliUsage in cli.js
+const installDefaults = {
+  // project directory with package.json
+  cwd: '.',
+  // lockfile path, relative to cwd. default: first found of lockfileDefaultList
+  lockfile: null,
+  // name of the virtual store in node_modules
+  // not the content-addressable store, which is "store-dir" in pnpm, see contentStore
+  virtualStoreDir: '.pnpm',
+  // content-addressable store shared by all projects. false: unpack tarballs directly to node_modules
+  // default: defaultStoreDir()
+  contentStore: undefined,
+  packageImportMethod: 'auto',
+  // lifecycle scripts are opt-in
+  ignoreScripts: true,
+  prod: false,
+  dev: false,
+  // directories, or a directory
+  offlineMirror: [],
+  fetch: false,
+  registry: null,
+  lockfileCheck: true,
+  binShims: 'portable',
+  // { bin: package }, merged with "binPreferences" of package.json
+  binPreferences: {},
+  strictBins: false,
+  // path of a JSON or YAML file, relative to cwd
+  preInstallLinks: null,
+  skipIntegrity: false,
+  targetOs: null,
+  targetCpu: null,
+  targetLibc: null,
+  concurrency: defaultConcurrency,
+  verbose: false,
+  // mode of createReporter, or an object with report(event), see reporter.js
+  reporter: 'default',
+};
 
-const lockfileDefaultList = [ 'yarn.lock', 'package-lock.json' ];
+// returns a promise of { packages, timings, warnings, upToDate }
+// packages: list of { name, version, path } in the virtual store, path is relative to cwd
+// timings: milliseconds of { lockfile, link, scripts, total }
+// warnings: list of messages, also reported as warning events
+// upToDate: true when node_modules was installed by the last install with the same inputs
+export async function install(options = {}) {
+  // undefined options have the default value
+  const opts = { ...installDefaults };
+  for (const [key, value] of Object.entries(options)) {
+    if (!(key in installDefaults)) throw new Error(`unknown option ${key}`);
+    if (value !== undefined) opts[key] = value;
+  }
+  const reporter = typeof opts.reporter == 'string' ? createReporter(opts.reporter) : opts.reporter;
+  return await installProject(opts, reporter);
+}
 
-const lockfileTypeOfName = {
-  'package-lock.json': LockfileType.npm,
-  'yarn.lock': LockfileType.yarn,
-};
+async function installProject(opts, reporter) {
+  const startTime = Date.now();
+  // paths of the install are relative to the project directory, and resolved with abs
+  // the directory of the process is never changed, so installs can run concurrently
+  const root = path.resolve(opts.cwd);
+  const abs = filePath => path.resolve(root, filePath);
+  const timings = { lockfile: 0, link: 0, scripts: 0, total: 0 };
+  const warnings = [];
+  const report = event => reporter.report(event);
+  const log = message => report({ type: 'info', message });
+  const warn = message => {
+    warnings.push(message);
+    report({ type: 'warning', message });
+  };
+  const debug = message => opts.verbose && report({ type: 'debug', message });
+  // linkPath is in a stage directory, and reported with its path in the new tree, see finalPath
+  const symlink = (linkTarget, linkPath) => {
+    report({ type: 'link', target: linkTarget, path: finalPath(linkPath) });
+    createSymlink(linkTarget, abs(linkPath));
+  };
+
+  if (opts.prod && opts.dev) {
+    throw new Error('prod and dev can not be used together');
+  }
 
+  // the state is only in the node_modules of the root package
+  // so it is read before any node_modules is restored
+  const interrupted = isPending(abs('node_modules'));
+  cleanupInterruptedInstall(root, log, interrupted);
 
+  const pkgPath = abs('package.json');
+  const lockfilePath = opts.lockfile || findLockfile(root, debug);
 
-const TestPkgPath = './src/test_materials/package.json'
-const TestPkgLockPath = './src/test_materials/package-lock.json'
-const TestPkgMinimistTarPath = './src/test_materials/proxy-from-env-1.1.0.tgz'
+  const pkg = json(pkgPath);
+  if (pkg.name === undefined) pkg.name = "package";
+  if (pkg.version === undefined) pkg.version = "0.0.0";
 
-async function main() {
-  const pkg = json(TestPkgPath);
-  const pkgLock = json(TestPkgLockPath);
+  // yarn.lock and pnpm-lock.yaml are not json
+  const pkgLock = lockfilePath.endsWith('.json') ? json(abs(lockfilePath)) : {};
   const pkgNameVersion = `${pkg.name}@${pkg.version}`;
-  console.log(`${pkgNameVersion}: install NPM dependencies`)
+  log(`${pkgNameVersion}: install NPM dependencies`)
+  debug(`${pkgNameVersion}: using lockfile ${lockfilePath}`);
+
+  const lockfileFormat = (
+    lockfilePath.endsWith('.yaml') ? 'pnpm' :
+    lockfilePath.endsWith('.lock') ? 'yarn' :
+    'npm'
+  );
 
-  const [deps, walk_deps] = (
-    pkgLock.lockfileVersion == 3 ? await getDepgraph(TestPkgPath, TestPkgLockPath) :
-    pkgLock.lockfileVersion == 2 ? await getDepgraph(TestPkgPath, TestPkgLockPath) :
-    pkgLock.lockfileVersion == 1 ? await getDeptree(TestPkgPath, TestPkgLockPath) :
+  // compare package.json with the lockfile before the lockfile parsers
+  // so a stale lockfile gives an explanation, and not an error from deep inside a parser
+  if (opts.lockfileCheck) {
+    const drift = checkDrift(pkg, lockfileFormat, read(abs(lockfilePath)));
+    if (drift.length > 0) {
+      report({ type: 'error', message: `${pkgNameVersion}: lockfile ${lockfilePath} is out of sync with package.json:\n\n${formatDrift(drift)}\n` });
+      const error = new Error(`lockfile ${lockfilePath} is out of sync with package.json. update the lockfile, or use --no-lockfile-check`);
+      error.code = 'ELOCKFILEDRIFT';
+      throw error;
+    }
+  }
+
+  const [deps, walk_deps, peerIssues] = (
+    lockfilePath.endsWith('.yaml') ? await getLockgraph(parsePnpmLock, pkgPath, abs(lockfilePath), opts, warn) :
+    lockfilePath.endsWith('.lock') ? await getLockgraph(parseYarnLock, pkgPath, abs(lockfilePath), opts, warn) :
+    [1, 2, 3].includes(pkgLock.lockfileVersion) ? await getLockTree(pkgPath, abs(lockfilePath), opts) :
     [null, null]
   )
 
-  const store_dir = '.pnpm';
-  const doneUnpack = new Set();
-  const doneScripts = new Set();
-  let numTicks = 0;
-  const ticksPerLine = 50;
-  const showTicks = false;
-
-  async function enter(dep, recurse, depPath) {
-    if (
-      dep.version == '' &&
-      dep.resolved == '' &&
-      dep.nameVersion != 'package.json@' // v3
-    ) {
-      console.log(`${dep.name}: optional dependency was removed from lockfile`);
+  if (deps == null && walk_deps == null) {
+    throw new Error(`failed to recognize the lockfile type of ${lockfilePath}`);
+  }
+
+  // the root package and the workspace packages are "importers", like in pnpm
+  // every importer has its own node_modules, with links to the shared virtual store
+  // in the node_modules of the root package
+  const makeImporter = (dir, importerPkg, importerDeps) => ({
+    dir,
+    pkg: importerPkg,
+    deps: importerDeps,
+    nameVersion: `${importerPkg.name}@${importerPkg.version}`,
+    nodeModules: path.join(dir, 'node_modules'),
+    stageDir: path.join(dir, stageDirName),
+    backupDir: path.join(dir, backupDirName),
+    // paths in the install state are relative to the node_modules of the root package
+    statePrefix: dir == '.' ? '' : `../${dir}/node_modules/`,
+    // binaries of root dependencies: binName -> list of candidates
+    // linked after all root dependencies are installed, see chooseBinLinks
+    bins: new Map(),
+  });
+  const rootImporter = makeImporter('.', pkg, deps);
+  const importers = [rootImporter];
+  const workspaceDirs = findWorkspaces(root, workspacePatterns(pkg));
+  if (workspaceDirs.length > 0 && !pkgLock.packages) {
+    warn(`workspaces are only supported with package-lock.json version 2 or 3. installing the root package only`);
+  }
+  else if (workspaceDirs.length > 0) {
+    const trees = getWorkspaceTrees(root, abs(lockfilePath), workspaceDirs, opts);
+    workspaceDirs.forEach((dir, i) => {
+      cleanupInterruptedInstall(abs(dir), log, interrupted);
+      importers.push(makeImporter(dir, trees[i].pkg, trees[i].tree));
+      peerIssues.push(...trees[i].issues);
+    });
+  }
+
+  // the lockfile must have the versions of "overrides" or "resolutions" in package.json
+  // rules like "bar/**/foo" depend on the whole path, so every path is checked, see overridePathKey
+  const overrideRules = parseOverrides(pkg, lockfileFormat);
+  const overrideIssues = [];
+  for (const importer of overrideRules.length > 0 ? importers : []) {
+    await walk_deps(importer.deps, async (dep, recurse, depPath) => {
+      overrideIssues.push(...checkOverrides(overrideRules, depPath));
+      await recurse();
+    }, depPath => overridePathKey(overrideRules, depPath));
+  }
+  const overrideReport = [...new Set(overrideIssues.map(formatOverrideIssue))];
+  if (overrideReport.length > 0 && opts.lockfileCheck) {
+    report({ type: 'error', message: `${pkgNameVersion}: lockfile ${lockfilePath} does not have the versions of package.json:\n\n${overrideReport.join('\n')}\n` });
+    const error = new Error(`lockfile ${lockfilePath} is out of sync with package.json. update the lockfile, or use --no-lockfile-check`);
+    error.code = 'ELOCKFILEDRIFT';
+    throw error;
+  }
+  if (overrideReport.length > 0) {
+    warn([
+      `${pkgNameVersion}: lockfile does not have the versions of package.json:`,
+      ...overrideReport.map(line => `  ${line}`),
+    ].join('\n'));
+  }
+
+  // unmet peers are no reason to fail the install, like in pnpm
+  // workspaces can have the same issues as the root package
+  const peerReport = [...new Set(peerIssues.map(formatPeerIssue))];
+  if (peerReport.length > 0) {
+    warn([
+      `${pkgNameVersion}: issues with peer dependencies:`,
+      ...peerReport.map(line => `  ${line}`),
+    ].join('\n'));
+  }
+  // workspace dir -> importer
+  const workspaces = new Map(importers.slice(1).map(importer => [importer.dir, importer]));
+
+  const store_dir = opts.virtualStoreDir;
+  const binShimMode = opts.binShims;
+  if (!binShimModeList.includes(binShimMode)) {
+    throw new Error(`invalid bin shim mode ${binShimMode}. expected one of: ${binShimModeList.join(', ')}`);
+  }
+  const ignoreScripts = opts.ignoreScripts;
+  const skipIntegrity = opts.skipIntegrity;
+
+  // a warning, so it is shown by every reporter and returned in the warnings of install
+  if (skipIntegrity) {
+    warn([
+      '--skip-integrity is set',
+      '#'.repeat(72),
+      '# tarballs are NOT verified against the integrity values in the lockfile',
+      '# a tampered or truncated tarball will be installed without error',
+      '#'.repeat(72),
+    ].join('\n'));
+  }
+
+  const contentStore = opts.contentStore === undefined ? defaultStoreDir() : opts.contentStore && abs(opts.contentStore);
+  const importMethod = opts.packageImportMethod;
+  if (!importMethodList.includes(importMethod)) {
+    throw new Error(`invalid package import method ${importMethod}. expected one of: ${importMethodList.join(', ')}`);
+  }
+  let numStoreAdded = 0;
+  let numStoreReused = 0;
+
+  // lockfiles of yarn berry have no integrity values of tarballs, see yarnLock.js
+  // then all tarballs are unverified, and one warning is reported after unpacking, not one per package
+  const lockfileHasIntegrity = deps.hasIntegrity !== false;
+  const unverifiedPackages = new Set();
+
+  // integrity of tarballs is verified before unpacking
+  const unpackDep = async (archive, to, dep) => {
+    if (!skipIntegrity && !dep.integrity && lockfileHasIntegrity) {
+      warn(`${dep.nameVersion}: no integrity value in lockfile. not verifying ${archive}`);
+    }
+    else if (!skipIntegrity && !dep.integrity) {
+      unverifiedPackages.add(dep.nameVersion);
+    }
+    if (contentStore) {
+      // unpack once to the content store, then link files to node_modules
+      const { storePath, added } = await storePackage(contentStore, archive, {
+        integrity: dep.integrity,
+        skipIntegrity,
+        name: dep.nameVersion,
+        onUnpack: (archive, storePath) => report({ type: 'unpack', name: dep.nameVersion, archive, path: storePath }),
+      });
+      added ? numStoreAdded++ : numStoreReused++;
+      debug(`import: ${storePath} -> ${to}`);
+      await importPackage(storePath, abs(to), importMethod);
       return;
     }
+    report({ type: 'unpack', name: dep.nameVersion, archive, path: finalPath(to) });
+    const digest = await unpack(archive, abs(to), {
+      integrity: skipIntegrity ? null : dep.integrity,
+      name: dep.nameVersion,
+    });
+    digest && debug(`integrity ok: ${dep.nameVersion}: ${digest}`);
+  };
+
+  // offline mirrors are tried before downloading
+  const fetchEnabled = opts.fetch || !!opts.registry;
+  const downloadDir = fetchEnabled ? fs.mkdtempSync(path.join(os.tmpdir(), 'pnpm-install-only-')) : null;
+  const resolverList = [
+    fileResolver(root),
+    mirrorResolver(toArray(opts.offlineMirror).map(abs)),
+    ...(fetchEnabled ? [httpResolver({
+      registry: opts.registry,
+      downloadDir,
+      onFetch: (url, filePath) => report({ type: 'fetch', url, path: filePath }),
+    })] : []),
+  ];
+
+  // optional deps are only installed when they match the target platform
+  // for example esbuild has optional deps @esbuild/linux-x64, @esbuild/darwin-arm64, ...
+  const hostPlatform = currentPlatform();
+  const targetPlatform = {
+    os: opts.targetOs || hostPlatform.os,
+    cpu: opts.targetCpu || hostPlatform.cpu,
+    libc: opts.targetLibc || ((opts.targetOs || hostPlatform.os) == hostPlatform.os ? hostPlatform.libc : null),
+  };
+  debug(`target platform: ${JSON.stringify(targetPlatform)}`);
+  const skippedOptional = new Set();
+
+  const binPreferences = { ...pkg.binPreferences, ...opts.binPreferences };
+  const binCollisions = [];
+  // binaries of nested dependencies: parent nameVersionStore -> binName -> list of candidates
+  const depBins = new Map();
+
+  // symlinks from /nix/store or a local cache, see preInstallLinks.js
+  const preInstallLinks = opts.preInstallLinks ? readPreInstallLinks(abs(opts.preInstallLinks)) : [];
+
+  // the last install, see installState.js
+  // packages are reused when their source did not change
+  const oldState = readInstallState(abs('node_modules'));
+  const newState = emptyState(installHash([
+    read(pkgPath),
+    ...importers.slice(1).map(importer => [importer.dir, read(abs(`${importer.dir}/package.json`))]),
+    read(abs(lockfilePath)),
+    preInstallLinks,
+    { store_dir, prod: opts.prod, dev: opts.dev, ignoreScripts, binShimMode, binPreferences, targetPlatform },
+  ]));
+  const reusedPackages = new Set();
+
+  // the new tree is built in stageDir, and renamed to node_modules when complete
+  // so a failed install never leaves a half-written node_modules
+  // all paths in the state are relative to node_modules
+  // workspaces have their own stageDir
+  const stageDir = rootImporter.stageDir;
+
+  // links of this install: state path -> linkTarget
+  const linkedPaths = new Map();
+
+  // linkPath is relative to the node_modules of the importer
+  const linkDep = (linkTarget, linkPath, importer = rootImporter) => {
+    const statePath = `${importer.statePrefix}${linkPath}`;
+    const old_target = linkedPaths.get(statePath);
+    if (old_target !== undefined) {
+      if (old_target != linkTarget) {
+        throw new Error([
+          `ERROR symlink collision`,
+          `old symlink: ${importer.nodeModules}/${linkPath} -> ${old_target}`,
+          `new symlink: ${importer.nodeModules}/${linkPath} -> ${linkTarget}`,
+        ].join('\n'));
+      }
+      return;
+    }
+    linkedPaths.set(statePath, linkTarget);
+    newState.links.push(statePath);
+    symlink(linkTarget, `${importer.stageDir}/${linkPath}`);
+  };
+
+  // binPath is relative to the node_modules of the importer
+  const linkBin = (linkTarget, binPath, importer = rootImporter) => {
+    symlink(linkTarget, `${importer.stageDir}/${binPath}`);
+    newState.bins.push(`${importer.statePrefix}${binPath}`);
+  };
+
+  // link a workspace package to its source directory, like npm
+  // its dependencies are installed in the node_modules of the workspace
+  const linkWorkspace = (workspaceDir, linkPath, importer = rootImporter) => {
+    const linkDir = path.dirname(path.join(importer.nodeModules, linkPath));
+    linkDep(path.relative(linkDir, workspaceDir), linkPath, importer);
+  };
+
+  // copy a package of the old node_modules to the new tree
+  // files are hardlinked when possible, see importPackage
+  const reusePackage = async (from, to) => {
+    debug(`reuse: ${from} -> ${to}`);
+    if (fs.lstatSync(abs(from)).isSymbolicLink()) {
+      // linked from a local directory
+      symlink(fs.readlinkSync(abs(from)), to);
+      return;
+    }
+    await importPackage(abs(from), abs(to), importMethod);
+  };
+
+  // add the binaries of a package to bins: binName -> list of candidates, see chooseBinLinks
+  // binDir and pkgDir are paths in the new tree
+  const addBinCandidates = (bins, binDir, pkgName, nameVersion, pkgJson, pkgDir) => {
+    for (const [binName, binPath] of binEntries(pkgJson, pkgName)) {
+      if (!bins.has(binName)) bins.set(binName, []);
+      bins.get(binName).push({ pkgName, nameVersion, linkTarget: `${path.relative(binDir, pkgDir)}/${binPath}` });
+    }
+  };
+
+  // scripts run only with --run-scripts
+  // and only for packages in pnpm.onlyBuiltDependencies, if set
+  const isScriptAllowed = scriptAllowlist(pkg);
+  const ignoredScripts = new Set();
+  let numScripts = 0;
+
+  // path in the new tree -> absolute path in the stage directories, before the new tree is renamed
+  // "node_modules/.pnpm/x" -> "/project/.node_modules-staging/.pnpm/x"
+  const stagedPath = filePath => {
+    for (const importer of importers) {
+      const prefix = `${importer.nodeModules}/`;
+      if (filePath.startsWith(prefix)) return abs(`${importer.stageDir}/${filePath.slice(prefix.length)}`);
+    }
+    return abs(filePath);
+  };
+
+  // path in the stage directories -> path in the new tree, for events
+  // ".node_modules-staging/.pnpm/x" -> "node_modules/.pnpm/x"
+  const finalPath = filePath => {
+    for (const importer of importers) {
+      const prefix = `${importer.stageDir}/`;
+      if (filePath.startsWith(prefix)) return `${importer.nodeModules}/${filePath.slice(prefix.length)}`;
+    }
+    return filePath;
+  };
+
+  // read the first 127 bytes of the binary
+  // to parse the shebang line
+  const readShebang = filePath => {
+    const shebangLineMaxLength = 127; // linux
+    const fd = fs.openSync(filePath);
+    const buf = Buffer.alloc(shebangLineMaxLength);
+    const readLength = fs.readSync(fd, buf, 0, shebangLineMaxLength, 0);
+    fs.closeSync(fd);
+    return parseShebang(buf.toString('utf8', 0, readLength));
+  };
+
+  // wrappers written by patchBinaries, see rebuildBinShims
+  // list of { binDir, binPath, linkTarget, targetPath, shebang, nested, workspaceStorePath }
+  const binShims = [];
+
+  // replace the symlink or the old wrapper at shim.binPath with a wrapper script
+  // resolve: path in the new tree -> absolute path. stagedPath before the swap, abs after
+  async function writeBinShim(shim, resolve) {
+    const { binDir, binPath, linkTarget, shebang } = shim;
+    let interpreterPath = null;
+    if (shebang && shebang[0][0] != '/') {
+      // executable name via "/usr/bin/env" or "/usr/bin/env -S"
+      const arg0Name = shebang[0];
+      // a missing interpreter is no reason to fail the install.
+      // it can be installed later, or the binary is never used
+      const arg0Path = await which(arg0Name, { nothrow: true });
+      if (!arg0Path && !fs.existsSync(resolve(`${binDir}/${arg0Name}`))) {
+        warn(`${binPath}: interpreter not found in PATH: ${arg0Name}`);
+      }
+      if (binShimMode == 'absolute') {
+        // when not found, fall back to the lookup at run time
+        interpreterPath = arg0Path;
+      }
+    }
+    const wrapperScript = binShimScript({
+      linkTarget,
+      storeDir: store_dir,
+      shebang,
+      interpreterPath,
+      nested: shim.nested,
+      workspaceStorePath: shim.workspaceStorePath,
+    });
+    fs.unlinkSync(resolve(binPath));
+    fs.writeFileSync(resolve(binPath), wrapperScript, 'utf8');
+    chmod(resolve(binPath), 0o755);
+  }
 
-    if (showTicks) {
-      process.stdout.write('.'); // tick
-      numTicks++;
-      if (numTicks % ticksPerLine == 0) process.stdout.write('\n');
+  // patch binaries in binDir: node_modules/.bin/ or node_modules/.pnpm/x@1/node_modules/.bin/
+  // binDir is the path in the new tree, see stagedPath
+  // opts.nested: binDir is in the virtual store, see binShimScript
+  // opts.workspaceStorePath: binDir is in the node_modules of a workspace, see binShimScript
+  // pnpm uses wrapper scripts, similar to nixpkgs wrapper scripts
+  // nixpkgs would move the original binary (original-name) to .original-name.wrapped
+  // fix: sh: line 1: /build/node_modules/.bin/patch-package: cannot execute: required file not found
+  // fix: sh: line 1: /build/node_modules/.bin/husky: Permission denied
+  async function patchBinaries(binDir, binNameList, nameVersion, opts = {}) {
+    (binNameList.length > 0) && log(`${nameVersion}: patching binaries in ${binDir}/`);
+
+    for (const binName of binNameList) {
+
+      const binPath = `${binDir}/${binName}`;
+      const linkTarget = fs.readlinkSync(stagedPath(binPath));
+      const targetPath = path.join(binDir, linkTarget);
+      if (!fs.existsSync(stagedPath(targetPath))) {
+        // workspace packages can have binaries which are built later
+        log(`${nameVersion}: binary ${binPath} does not exist yet. keeping the symlink`);
+        continue;
+      }
+      log(`${nameVersion}: patching binary ${binPath}`);
+
+      const shim = {
+        binDir,
+        binPath,
+        linkTarget,
+        targetPath,
+        shebang: readShebang(stagedPath(targetPath)),
+        nested: opts.nested,
+        workspaceStorePath: opts.workspaceStorePath,
+      };
+      binShims.push(shim);
+      await writeBinShim(shim, stagedPath);
     }
+  }
+
+  // lifecycle scripts can replace binaries of their package
+  // for example the postinstall of esbuild replaces the node script bin/esbuild with a native binary
+  // so the wrappers of the binaries in pkgDir are written again, with the new shebang
+  // pkgDir is a path in the new tree, after the swap
+  async function rebuildBinShims(pkgDir) {
+    for (const shim of binShims) {
+      if (!shim.targetPath.startsWith(`${pkgDir}/`) || !fs.existsSync(abs(shim.targetPath))) continue;
+      const shebang = readShebang(abs(shim.targetPath));
+      if (JSON.stringify(shebang) == JSON.stringify(shim.shebang)) continue;
+      log(`${shim.targetPath} was changed by a lifecycle script. patching binary ${shim.binPath} again`);
+      shim.shebang = shebang;
+      await writeBinShim(shim, abs);
+    }
+  }
 
-    // TODO default false, use command line option
-    const ignoreScripts = true;
+  // binDirs: extra directories for PATH, before node_modules/.bin
+  async function runLifecycleScripts(nameVersion, pkgJson, pkgDir, scriptNames, env, binDirs = []) {
+    for (const [scriptName, script] of getScripts(pkgJson, abs(pkgDir), scriptNames)) {
+      report({ type: 'script', name: nameVersion, script: scriptName, command: script });
+      let output;
+      try {
+        output = await runScript({
+          pkg: pkgJson,
+          pkgDir: abs(pkgDir),
+          event: scriptName,
+          script,
+          binDirs: [...binDirs, abs('node_modules/.bin')],
+          env,
+          initCwd: root,
+        });
+      }
+      catch (error) {
+        if (error.output) {
+          log(`${nameVersion} ${scriptName}: output:\n${error.output.trimEnd()}`);
+        }
+        throw error;
+      }
+      numScripts++;
+      if (output) debug(output.trimEnd());
+    }
+  }
+
+  // extraction and linking run concurrently, up to --concurrency jobs
+  const concurrency = Number(opts.concurrency);
+  const limit = createLimit(concurrency);
+  const unpackPromises = new Map();
+
+  // dependency order for lifecycle scripts
+  // nameVersionStore -> { dep, dep_store }
+  const scriptNodes = new Map();
+  // nameVersionStore -> Set of child nameVersionStore
+  const scriptChildren = new Map();
+  // root dependencies
+  const scriptRoots = new Set();
+
+  const doneUnpack = new Set();
+  // packages unpacked by this install, without reused packages
+  const unpackedPackages = new Set();
+  // packages unpacked or reused, of the packages found so far
+  const reportProgress = () => report({ type: 'progress', done: doneUnpack.size, total: unpackPromises.size });
+
+  // importer: root package or workspace, see makeImporter
+  async function enter(dep, recurse, depPath, importer) {
+    if (dep.version == '' && dep.resolved == '') {
+      log(`${dep.name}: optional dependency was removed from lockfile`);
+      return;
+    }
 
     // 组装版本包名字符串
     dep.nameVersion = `${dep.name}@${dep.version}`;
@@ -245,166 +706,69 @@ async function main() {
     // dep is a "root dependency" = required by the root package
     // 是否是根依赖
     const isRootDep = (depPath.length == 2);
-    isRootDep && console.log(`+ ${dep.nameVersion}`);
 
     // 是否是根包
     const isRootPkg = (depPath.length == 1);
 
+    // 跳过其他平台的可选依赖
+    if (!isRootPkg) {
+      const mismatch = platformMismatch(dep, targetPlatform);
+      if (mismatch.length > 0) {
+        const details = mismatch.map(key => `${key} ${JSON.stringify(dep[key])} != ${targetPlatform[key]}`).join(', ');
+        if (dep.optional) {
+          if (!skippedOptional.has(dep.nameVersion)) {
+            log(`${dep.nameVersion}: skip optional dependency: ${details}`);
+            skippedOptional.add(dep.nameVersion);
+          }
+          return;
+        }
+        warn(`${dep.nameVersion}: unsupported platform: ${details}`);
+      }
+    }
+
+    // npm alias: "string-width-cjs": "npm:string-width@4.2.3"
+    // is linked as node_modules/string-width-cjs, and unpacked to .pnpm/string-width@4.2.3/node_modules/string-width
+    const linkName = dep.linkName || dep.name;
+
+    isRootDep && report({ type: 'added', name: dep.name, version: dep.version, linkName });
+
+    // link to another workspace package. its source is not unpacked
+    const workspace = (!isRootPkg && dep.link) ? workspaces.get(dep.resolved.replace(/^file:/, '')) : undefined;
+
     if (isRootPkg) {
       // 安装所有子包
       await recurse();
 
-      // patch binaries in node_modules/.bin/
-      // pnpm uses wrapper scripts, similar to nixpkgs wrapper scripts
-      // nixpkgs would move the original binary (original-name) to .original-name.wrapped
-      // fix: sh: line 1: /build/node_modules/.bin/patch-package: cannot execute: required file not found
-      // fix: sh: line 1: /build/node_modules/.bin/husky: Permission denied
-      const binNameList = fs.existsSync('node_modules/.bin') ? fs.readdirSync('node_modules/.bin') : [];
-
-      (binNameList.length > 0) && console.log(`${dep.nameVersion}: patching binaries in node_modules/.bin/`);
-
-      for (const binName of binNameList) {
-
-        const binPath = `node_modules/.bin/${binName}`;
-        console.log(`${dep.nameVersion}: patching binary ${binPath}`);
-
-        // read the first 127 bytes of the old file
-        // to parse the shebang line
-        const shebangLineMaxLength = 127; // linux
-        const fd = fs.openSync(binPath);
-        const buf = new Buffer.alloc(shebangLineMaxLength);
-        const readLength = fs.readSync(fd, buf, 0, shebangLineMaxLength, 0);
-        fs.closeSync(fd);
-        const fileText = buf.toString('utf8', 0, readLength);
-        const shebang = parseShebang(fileText);
-
-        const linkTarget = fs.readlinkSync(binPath);
-
-        // create wrapper script
-        // see also
-        // https://github.com/pnpm/pnpm/issues/6937
-
-        const linkTargetParts = linkTarget.split("/node_modules/");
-
-        // const pkgStoreName = linkTargetParts[0].split("/")[2];
-        const pkgStoreName = linkTargetParts[0].split("/")[1];
-
-        // const pkgName = (linkTargetParts[1][0] == "@") ? linkTargetParts[1].split("/").slice(0, 2).join("/") : linkTargetParts[1].split("/")[0];
-        const pkgName = pkgStoreName
-
-        const linkTargetClean = linkTarget.replace(/\/(?:\.\/)+/g, "/"); // replace /./ with /
-
-        // $b: absolute path to node_modules/.bin
-        // $p: absolute path to node_modules/.pnpm
-        // $n: absolute path to node_modules/.pnpm/${pkgStoreName}/node_modules
-        const linkTargetShell = (
-          // resolve parent path from $b to $n
-          linkTargetClean.startsWith(`../.pnpm/${pkgStoreName}/node_modules/`) ? ("$n" + linkTargetClean.slice(`../.pnpm/${pkgStoreName}/node_modules`.length)) :
-          // resolve parent path from $b to $p
-          linkTargetClean.startsWith("../.pnpm/") ? ("$p" + linkTargetClean.slice(8)) :
-          // keep absolute path
-          linkTargetClean.startsWith("/") ? linkTargetClean :
-          // use relative path to $b
-          ("$b/" + linkTargetClean)
-        );
-
-        const linkTargetShellDir = linkTargetShell.replace(/\/[^/]+$/, '');
-
-        const wrapperScriptLines = [
-          '#!/bin/sh',
-          '',
-          'set -e',
-          '',
-          'b="$(readlink -f "$(dirname "$0")")"', // absolute path of node_modules/.bin
-          'p="$(dirname "$b")/.pnpm"', // absolute path of node_modules/.pnpm
-          `n="$p/${pkgStoreName}/node_modules"`,
-          '',
-          [
-            'export NODE_PATH="',
-            ...(
-              // example:
-              // linkTargetShellDir = "$n/somepkg/dist/bin"
-              // -> add paths:
-              // "$n/somepkg/dist/bin/node_modules"
-              // "$n/somepkg/dist/node_modules"
-              linkTargetShellDir.startsWith(`$n/${pkgName}/`)
-              ? (
-                linkTargetShellDir.slice(`$n/${pkgName}/`.length).split('/').map(
-                  (_val, idx, arr) => `$n/${pkgName}/${arr.slice(0, arr.length - idx).join('/')}/node_modules:`
-                )
-              )
-              : []
-            ),
-            `$n/${pkgName}/node_modules:`,
-            `$n:`,
-            '$p/node_modules:',
-            '$NODE_PATH"',
-          ].join('\\\n'),
-          '',
-
-          //`# debug`,
-          //`echo "0: $0"`,
-          //`echo "b: $b"`,
-          //`echo "p: $p"`,
-          //`echo "a: $a"`,
-          //`echo "NODE_PATH: $NODE_PATH"`,
-        ];
-
-        if (!shebang) {
-          // no shebang. just exec the file with custom NODE_PATH
-          wrapperScriptLines.push(`exec "${linkTargetShell}" "$@"`);
+      // like npm, all workspaces are linked in the node_modules of the root package
+      // with their binaries in node_modules/.bin
+      if (importer == rootImporter) {
+        for (const workspace of workspaces.values()) {
+          if (linkedPaths.has(workspace.pkg.name)) continue;
+          linkWorkspace(workspace.dir, workspace.pkg.name);
+          addBinCandidates(importer.bins, `${importer.nodeModules}/.bin`, workspace.pkg.name, workspace.nameVersion, workspace.pkg, workspace.dir);
         }
-        else {
-          const [arg0, args] = shebang;
-          if (arg0[0] == '/') {
-            // absolute path to the arg0 executable
-            wrapperScriptLines.push(`exec ${arg0}${args} "${linkTargetShell}" "$@"`);
-          }
-          else {
-            // executable name via "/usr/bin/env" or "/usr/bin/env -S"
-            const arg0Name = arg0;
-            // get absolute path of the arg0 executable
-            // this throws when arg0Name is not in $PATH
-            const arg0Path = await which(arg0Name);
-            wrapperScriptLines.push(
-              `[ -x "$b/${arg0}" ] &&`,
-              `exec "$b/${arg0}" "${linkTargetShell}" "$@"`,
-              '',
-
-              // no. this is handled by nodejs-hide-symlinks
-              // with a node wrapper in $PATH
-              //...(arg0 == 'node' ? [
-              //  `LD_PRELOAD=/nix/store/i2wh1abgq9wqsxgpsjgydfhf9n54f06f-nodejs-hide-symlinks-unstable-2021-09-29/lib/libnodejs_hide_symlinks.so \\`,
-              //] : []),
-
-              // abolute path to node binary?
-              // no. the build environment's $PATH should have these binaries
-              // for the runtime environment, the user can generate extra wrapper scripts
-              // yes. in the nix store, all calls to binaries should use absolute paths.
-              //`exec ${arg0} "${linkTargetShell}" "$@"`,
-              `exec "${arg0Path}" "${linkTargetShell}" "$@"`,
-            );
-          }
-        }
-
-        // replace the symlink in node_modules/.bin with a wrapper script
-        fs.unlinkSync(binPath);
-        const wrapperScript = wrapperScriptLines.join('\n') + '\n';
-        fs.writeFileSync(binPath, wrapperScript, 'utf8');
-        chmod(binPath, 0o755);
       }
 
-      // run lifecycle scripts of root package
-      // pkg is the parsed package.json
-      if (ignoreScripts == false && pkg.scripts) {
-        console.log(`${dep.nameVersion}: running lifecycle scripts`)
-        for (const scriptName of ['preinstall', 'install', 'postinstall', 'prepublish', 'preprepare', 'prepare', 'postprepare']) {
-          if (!(scriptName in pkg.scripts)) continue;
-          console.log(`> ${pkgNameVersion} ${scriptName}: ${pkg.scripts[scriptName]}`)
-          spawn(['npm', 'run', scriptName]);
-          // quick n dirty. we use npm to resolve binary paths. we could use require.resolve
-        }
+      // link binaries of root dependencies
+      const binDir = `${importer.nodeModules}/.bin`;
+      const { links, collisions } = chooseBinLinks(importer.bins, binPreferences);
+      for (const [binName, { linkTarget }] of links) {
+        linkBin(linkTarget, `.bin/${binName}`, importer);
+      }
+      for (const collision of collisions) {
+        collision.binDir = binDir;
+        binCollisions.push(collision);
+        collision.resolved ? log(formatBinCollision(collision)) : warn(formatBinCollision(collision));
+      }
+      const unresolved = collisions.filter(c => !c.resolved);
+      if (opts.strictBins && unresolved.length > 0) {
+        throw new Error(`unresolved collisions in ${binDir}: ${unresolved.map(c => c.binName).join(', ')}. set "binPreferences" in package.json or use --prefer-bin`);
       }
+
+      await patchBinaries(binDir, [...links.keys()], dep.nameVersion, {
+        workspaceStorePath: importer == rootImporter ? null : path.relative(binDir, `node_modules/${store_dir}`),
+      });
+
       // root package: nothing to unpack.
       // dependencies were installed in recurse
       return;
@@ -417,196 +781,279 @@ async function main() {
 
     if (parent) {
       parent.nameVersion = `${parent.name}@${parent.version}`;
-      parent.nameVersionStore = parent.nameVersion.replace(/[/]/g, '+'); // escape / with + like pnpm
+      parent.nameVersionStore = storeName(parent);
     }
 
     // nameVersionStore: in the first level of store_dir, all names are escaped
-    dep.nameVersionStore = dep.nameVersion.replace(/[/]/g, '+'); // escape / with + like pnpm
+    // packages with peer dependencies have one directory per set of peers
+    dep.nameVersionStore = storeName(dep);
 
+    // relative to the node_modules of the importer
     const dep_path = isRootDep
       // create link node_modules/x with target node_modules/.pnpm/x@1/node_modules/x
-      ? `node_modules/${dep.name}`
+      ? linkName
       // create link node_modules/.pnpm/parent@1/node_modules/x with target ../../x@1/node_modules/x
-      : `node_modules/${store_dir}/${parent.nameVersionStore}/node_modules/${dep.name}`
+      : `${store_dir}/${parent.nameVersionStore}/node_modules/${linkName}`
+    // nested dependencies are linked in the virtual store of the root package
+    const dep_importer = isRootDep ? importer : rootImporter;
 
-    dep.nameEscaped = dep.name.replace(/[/]/g, '+'); // escape / with + like pnpm
+    // relative to node_modules
+    const dep_store_path = `${store_dir}/${dep.nameVersionStore}/node_modules/${dep.name}`;
+    const dep_store = `${stageDir}/${dep_store_path}`;
 
-    const dep_target = (dep.name.includes('/') ? '../' : '') + (isRootDep
+    const dep_target = isRootDep
       // create link node_modules/x with target node_modules/.pnpm/x@1/node_modules/x
-      ? `${store_dir}/${dep.nameVersionStore}/node_modules/${dep.name}`
+      // in a workspace: packages/foo/node_modules/x with target ../../../node_modules/.pnpm/x@1/node_modules/x
+      ? path.relative(path.dirname(`${importer.nodeModules}/${linkName}`), `node_modules/${dep_store_path}`)
       // create link node_modules/.pnpm/parent@1/node_modules/x with target ../../x@1/node_modules/x
-      : `../../${dep.nameVersionStore}/node_modules/${dep.name}`
-    );
-
-    const dep_store = `node_modules/${store_dir}/${dep.nameVersionStore}/node_modules/${dep.name}`;
-
-    // dep.resolved is tarfile or directory
-    if (dep.resolved.startsWith("file://")) {
-      // dep.resolved is tarfile -> unpack
-      const tgzpath = dep.resolved.replace(/^file:\/\//, '');
-      if (tgzpath[0] != '/' ) {
-        throw new Error(`invalid tarfile path '${tgzpath}' - expected file:///*.tgz`)
-      }
-      unpack(tgzpath, dep_store);
-    } else {
-      // dep.resolved is directory -> create symlink
-      if (dep.resolved[0] != '/' ) {
-        // throw new Error(`invalid directory path '${dep.resolved}' - expected /*`);
-        if (dep.resolved === 'https://mirrors.tencent.com/npm/proxy-from-env/-/proxy-from-env-1.1.0.tgz') {
-          unpack(TestPkgMinimistTarPath, dep_target);
-        }
+      : (linkName.includes('/') ? '../' : '') + `../../${dep.nameVersionStore}/node_modules/${dep.name}`;
+
+    // collect binaries. for this we must read the dep's package.json
+    // root dependencies: linked to node_modules/.bin when all root dependencies are installed
+    // nested dependencies: linked to node_modules/.pnpm/parent@1/node_modules/.bin
+    const collectBins = (dep_pkg, pkgDir) => {
+      if (isRootDep) {
+        addBinCandidates(importer.bins, `${importer.nodeModules}/.bin`, dep.name, dep.nameVersion, dep_pkg, pkgDir);
+        return;
       }
+      if (!depBins.has(parent.nameVersionStore)) depBins.set(parent.nameVersionStore, new Map());
+      addBinCandidates(depBins.get(parent.nameVersionStore), `node_modules/${store_dir}/${parent.nameVersionStore}/node_modules/.bin`, dep.name, dep.nameVersion, dep_pkg, pkgDir);
+    };
 
-      // create link from machine-level store to local .pnpm/ store
-      if (!fs.existsSync(dep_store)) {
-        // symlink(dep.resolved, dep_store);
-        if (dep.resolved === 'https://mirrors.tencent.com/npm/proxy-from-env/-/proxy-from-env-1.1.0.tgz') {
-          if (!fs.lstatSync(dep_store).isSymbolicLink) {
-            symlink(dep_target, dep_store);
-          }
-        }
-      }
-    }
-    // 加入到已解压包集合中
-    doneUnpack.add(dep.nameVersion);
-
-    // install nested dep
-    if (!fs.existsSync(dep_path)) {
-      // symlink(dep_target, dep_path);
-      if (!fs.lstatSync(dep_path).isSymbolicLink) {
-        symlink(dep_store, dep_path);
-      }
-    } else {
-      // symlink exists
-      const old_target = fs.readlinkSync(dep_path);
-      if (old_target != dep_target) {
-        throw new Error([
-          `ERROR symlink collision`,
-          `old symlink: ${dep_path} -> ${old_target}`,
-          `new symlink: ${dep_path} -> ${dep_target}`,
-        ].join('\n'));
-      }
+    if (workspace) {
+      linkWorkspace(workspace.dir, dep_path, dep_importer);
+      collectBins(workspace.pkg, workspace.dir);
+      return;
     }
 
-    if (isRootDep) {
-      // install binaries. for this we must read the dep's package.json
-      // const dep_store_rel = `../${store_dir}/${dep.nameVersionStore}/node_modules/${dep.name}`
-      const dep_store_rel = `${store_dir}/${dep.nameVersionStore}/node_modules/${dep.name}`
-      // const pkg = json(`${dep_store}/package.json`);
-      const pkg = json(`${dep_target}/package.json`);
-      const deep_dir = `node_modules/${store_dir}/${dep.nameVersionStore}/node_modules/${dep.name}`;
-
-      if (typeof pkg.bin == 'string') {
-        const linkPath = `node_modules/.bin/${dep.name}`;
-        const linkTarget = `${dep_store_rel}/${pkg.bin}`;
-        if (!fs.existsSync(linkPath)) {
-          symlink(linkTarget, linkPath);
+    // dep.resolved is tarfile or directory
+    // resolvers map https:// URLs to local files, see --offline-mirror and --fetch
+    // every package is unpacked once, other visits wait for the same promise
+    if (!unpackPromises.has(dep.nameVersionStore)) {
+      unpackPromises.set(dep.nameVersionStore, limit(async () => {
+        const storePath = `${store_dir}/${dep.nameVersionStore}`;
+        const links = preInstallLinksFor(preInstallLinks, dep.name, dep.version);
+        const record = { name: dep.name, version: dep.version, dir: dep_store_path, resolved: dep.resolved, integrity: dep.integrity || '', links };
+        const oldRecord = oldState && oldState.packages[storePath];
+        if (
+          oldRecord &&
+          oldRecord.resolved == record.resolved &&
+          oldRecord.integrity == record.integrity &&
+          JSON.stringify(oldRecord.links) == JSON.stringify(record.links) &&
+          pathExists(abs(`node_modules/${oldRecord.dir}`))
+        ) {
+          // installed by the last install, with the output of its lifecycle scripts
+          // the old node_modules is not changed, so it can be restored on failure
+          await reusePackage(`node_modules/${oldRecord.dir}`, dep_store);
+          newState.packages[storePath] = { ...record, scripts: oldRecord.scripts };
+          reusedPackages.add(dep.nameVersionStore);
+          doneUnpack.add(dep.nameVersionStore);
+          reportProgress();
+          return;
+        }
+        const source = await resolveDep(resolverList, dep);
+        debug(`${dep.nameVersion}: resolved ${dep.resolved} -> ${source.type} ${source.path}`);
+        if (source.type == 'tarball') {
+          await unpackDep(source.path, dep_store, dep);
+          unpackedPackages.add(dep.nameVersionStore);
         }
         else {
-          // collision: symlink exists
-          const old_target = fs.readlinkSync(linkPath);
-          if (old_target != linkTarget) {
-            // short path: ../.pnpm/@playwright+test@1.28.1/node_modules/@playwright/test/./cli.js -> @playwright/test/./cli.js
-            const s = str => str.split("/").slice(4).join("/");
-            // TODO collect these warnings and show them again at the end
-            console.log(`WARNING: collision on ${linkPath}: preferring ${s(old_target)} over ${s(linkTarget)}. use (TODO implement) to change this`);
-          }
+          // create link from machine-level store to local .pnpm/ store
+          symlink(path.resolve(source.path), dep_store);
         }
-      }
-      else if (typeof pkg.bin == 'object') {
-        for (const binName of Object.keys(pkg.bin)) {
-          const linkPath = `node_modules/.bin/${binName}`;
-          const linkTarget = `${dep_store_rel}/${pkg.bin[binName]}`
-          if (!fs.existsSync(linkPath)) {
-            symlink(linkTarget, linkPath);
-          }
-          else {
-            // collision: symlink exists
-            const old_target = fs.readlinkSync(linkPath);
-            if (old_target != linkTarget) {
-              const s = str => str.split("/").slice(4).join("/");
-              // TODO collect these warnings and show them again at the end
-              console.log(`WARNING: collision on ${linkPath}: preferring ${s(old_target)} over ${s(linkTarget)}. use (TODO implement) to change this`);
-            }
+        // symlink files from /nix/store
+        if (links.length > 0 && source.type != 'tarball') {
+          // never write to a linked directory
+          warn(`${dep.nameVersion}: not adding preInstallLinks to linked directory ${source.path}`);
+        }
+        else if (links.length > 0) {
+          for (const { linkPath, linkTarget, replaced } of addPreInstallLinks(abs(dep_store), links)) {
+            log(`> ${dep.nameVersion}: add symlink from preInstallLinks: ${linkPath} -> ${linkTarget}`);
+            replaced && log(`> ${dep.nameVersion}: replaced existing ${replaced} node_modules/${dep_store_path}/${linkPath}`);
           }
         }
-      }
+        newState.packages[storePath] = { ...record, scripts: false };
+        // 加入到已解压包集合中
+        doneUnpack.add(dep.nameVersionStore);
+        reportProgress();
+      }));
+      reportProgress();
     }
+    await unpackPromises.get(dep.nameVersionStore);
+
+    // install nested dep
+    linkDep(dep_target, dep_path, dep_importer);
+
+    collectBins(json(abs(`${dep_store}/package.json`)), `node_modules/${dep_store_path}`);
 
     // install child deps
     await recurse();
 
-    // FIXME read preInstallLinks from file
-    //console.dir({ loc: 390, preInstallLinks });
-    /*
-    暂时注释
-    if (preInstallLinks != null && dep.name in preInstallLinks) {
-      // symlink files from /nix/store
-      for (const linkPath in preInstallLinks[dep.name]) {
-        const linkTarget = preInstallLinks[dep.name][linkPath];
-        console.log(`> ${dep.name}@${dep.version}: add symlink from preInstallLinks: ${linkPath} -> ${linkTarget}`)
-        if (fs.existsSync(`${dep_store}/${linkPath}`)) {
-          console.log(`> remove existing file ${dep_store}/${linkPath}`)
-          fs.unlinkSync(`${dep_store}/${linkPath}`); // TODO also 'rm -rf' directories
-        }
-        try {
-          symlink(linkTarget, `${dep_store}/${linkPath}`);
-        }
-        catch (error) {
-          // TODO handle collisions
-          throw error;
-        }
-      }
+    // lifecycle scripts of dependencies run after linking, see runDepScripts
+    // here we only record the dependency order
+    if (!scriptNodes.has(dep.nameVersionStore)) {
+      // scripts run when the new tree is renamed to node_modules
+      scriptNodes.set(dep.nameVersionStore, { dep, dep_store: `node_modules/${dep_store_path}` });
     }
-    */
-
-    // run lifecycle scripts of dependency
-    // run scripts after recurse, so that child-dependencies are installed
-    if (doneScripts.has(dep.nameVersion)) {
-      console.log(`already done scripts: ${dep.name}@${dep.version}`);
-    } else {
-      // const dep_pkg = json(`${dep_store}/package.json`);
-      const dep_pkg = json(`${dep_target}/package.json`);
-      if (ignoreScripts == false && dep_pkg.scripts) {
-        for (const scriptName of ['preinstall', 'install', 'postinstall']) {
-          if (!(scriptName in dep_pkg.scripts)) {
-            continue;
-          }
-          console.log(`> ${pkgNameVersion} ${scriptName}: ${dep_pkg.scripts[scriptName]}`)
-
-          const workdir = process.cwd();
-
-          const NODE_PATH = [
-            // TODO add paths, see linkTargetShellDir.slice
-            `${workdir}/node_modules/${store_dir}/${dep.nameVersionStore}/node_modules/${dep.name}/node_modules`,
-            `${workdir}/node_modules/${store_dir}/${dep.nameVersionStore}/node_modules`,
-            `${workdir}/node_modules`,
-            (process.env.NODE_PATH || ''),
-          ].join(':');
-
-          // quick n dirty. we use npm to resolve binary paths. we could use require.resolve
-          const spawnResult = spawn(['npm', 'run', scriptName], {
-            cwd: dep_store,
-            env: {
-              ...process.env,
-              NODE_PATH,
-            }
-          });
-          if (spawnResult.status > 0) {
-            throw new Error(`ERROR in ${pkgNameVersion} ${scriptName}`)
-          }
-        }
+    // children are done before their parent, so the parent's set may not exist yet
+    const childrenOf = key => {
+      if (!scriptChildren.has(key)) scriptChildren.set(key, new Set());
+      return scriptChildren.get(key);
+    };
+    childrenOf(dep.nameVersionStore);
+    (parent ? childrenOf(parent.nameVersionStore) : scriptRoots).add(dep.nameVersionStore);
+  }
+
+  // link binaries of dependencies for the lifecycle scripts of their parents
+  // like pnpm: node_modules/.pnpm/parent@1/node_modules/.bin
+  // collisions are not reported, the first package by name wins
+  async function linkDepBins() {
+    for (const [parentStore, candidates] of depBins) {
+      const binDir = `${store_dir}/${parentStore}/node_modules/.bin`;
+      const { links } = chooseBinLinks(candidates);
+      for (const [binName, { linkTarget }] of links) {
+        linkBin(linkTarget, `${binDir}/${binName}`);
       }
-      doneScripts.add(dep.nameVersion);
+      await patchBinaries(`node_modules/${binDir}`, [...links.keys()], parentStore, { nested: true });
     }
   }
 
-  await walk_deps(deps, enter);
+  // run lifecycle scripts of dependencies
+  // child-dependencies first, so they are installed when the parent's scripts run
+  // independent packages run concurrently
+  async function runDepScripts() {
+    await runDependencyOrder(scriptRoots, scriptChildren, async nameVersionStore => {
+      const { dep, dep_store } = scriptNodes.get(nameVersionStore);
+      // built by the last install
+      const record = newState.packages[`${store_dir}/${nameVersionStore}`];
+      if (record && record.scripts) return;
+      const dep_pkg = json(abs(`${dep_store}/package.json`));
+      const scripts = getScripts(dep_pkg, abs(dep_store));
+      if (scripts.length == 0) return;
+      if (!isScriptAllowed(dep)) {
+        ignoredScripts.add(dep.nameVersion);
+        return;
+      }
 
-  // summary
-  if (showTicks) process.stdout.write('\n'); // newline after ticks
-  const deltaTime = (Date.now() - startTime) / 1000;
-  console.log(`${pkgNameVersion}: installed ${doneUnpack.size} node modules in ${deltaTime.toFixed(2)} seconds`)
-}
+      const workdir = root;
+
+      const NODE_PATH = [
+        // TODO add paths, see linkTargetShellDir.slice
+        `${workdir}/node_modules/${store_dir}/${dep.nameVersionStore}/node_modules/${dep.name}/node_modules`,
+        `${workdir}/node_modules/${store_dir}/${dep.nameVersionStore}/node_modules`,
+        `${workdir}/node_modules`,
+        (process.env.NODE_PATH || ''),
+      ].join(':');
+
+      // binaries of the package's dependencies
+      const binDirs = [`${workdir}/node_modules/${store_dir}/${dep.nameVersionStore}/node_modules/.bin`];
 
-main();
+      // files of the package are hardlinks to the content store, or to the old node_modules
+      await breakHardlinks(abs(dep_store));
+
+      await runLifecycleScripts(dep.nameVersion, dep_pkg, dep_store, depScriptNames, { NODE_PATH }, binDirs);
+      // before the scripts of the parents, which can call the binaries
+      await rebuildBinShims(dep_store);
+      if (record) record.scripts = true;
+    }, limit);
+  }
+
+  // result of install
+  const result = (state, upToDate) => {
+    timings.total = Date.now() - startTime;
+    const packages = Object.values(state.packages).map(({ name, version, dir }) => ({ name, version, path: `node_modules/${dir}` }));
+    return { packages, timings, warnings, upToDate };
+  };
+
+  timings.lockfile = Date.now() - startTime;
+
+  // same inputs as the last install: nothing to do
+  if (oldState && !oldState.pending && oldState.hash == newState.hash && isComplete(oldState, abs('node_modules'))) {
+    if (downloadDir) fs.rmSync(downloadDir, { recursive: true, force: true });
+    report({ type: 'summary', name: pkgNameVersion, seconds: (Date.now() - startTime) / 1000, upToDate: true });
+    return result(oldState, true);
+  }
+
+  const removeStageDirs = () => {
+    for (const importer of importers) fs.rmSync(abs(importer.stageDir), { recursive: true, force: true });
+  };
+
+  const linkStartTime = Date.now();
+  try {
+    for (const importer of importers) {
+      mkdir(abs(importer.stageDir));
+      if (importer != rootImporter) log(`${importer.nameVersion}: install workspace ${importer.dir}`);
+      await walk_deps(importer.deps, (dep, recurse, depPath) => enter(dep, recurse, depPath, importer));
+    }
+    await linkDepBins();
+    if (unverifiedPackages.size > 0) {
+      warn(`${lockfilePath} has no integrity values of tarballs. not verifying ${unverifiedPackages.size} packages`);
+    }
+    // the final state is written when the scripts are done
+    writeInstallState(abs(stageDir), { ...newState, pending: true });
+  }
+  catch (error) {
+    // the old node_modules was not changed
+    removeStageDirs();
+    throw error;
+  }
+  finally {
+    if (downloadDir) fs.rmSync(downloadDir, { recursive: true, force: true });
+  }
+  timings.link = Date.now() - linkStartTime;
+
+  // swap the new trees with the old node_modules
+  const swapped = [];
+  try {
+    for (const importer of importers) {
+      if (pathExists(abs(importer.nodeModules))) fs.renameSync(abs(importer.nodeModules), abs(importer.backupDir));
+      swapped.push(importer);
+      fs.renameSync(abs(importer.stageDir), abs(importer.nodeModules));
+    }
+
+    // run lifecycle scripts of dependencies, then of the workspaces, then of the root package
+    // scripts run in node_modules, because they can store absolute paths
+    if (ignoreScripts == false) {
+      const scriptsStartTime = Date.now();
+      await runDepScripts();
+      for (const workspace of workspaces.values()) {
+        const binDirs = [abs(`${workspace.nodeModules}/.bin`)];
+        await runLifecycleScripts(workspace.nameVersion, workspace.pkg, workspace.dir, rootScriptNames, {}, binDirs);
+      }
+      await runLifecycleScripts(pkgNameVersion, pkg, '.', rootScriptNames, {});
+      timings.scripts = Date.now() - scriptsStartTime;
+    }
+    // with the packages which were built
+    writeInstallState(abs('node_modules'), newState);
+  }
+  catch (error) {
+    log(`${pkgNameVersion}: install failed. restoring the old node_modules`);
+    for (const importer of swapped.reverse()) {
+      const [nodeModules, stageDir, backupDir] = [importer.nodeModules, importer.stageDir, importer.backupDir].map(abs);
+      if (pathExists(nodeModules) && !pathExists(stageDir)) fs.renameSync(nodeModules, stageDir);
+      if (pathExists(backupDir)) fs.renameSync(backupDir, nodeModules);
+    }
+    removeStageDirs();
+    throw error;
+  }
+  for (const importer of importers) fs.rmSync(abs(importer.backupDir), { recursive: true, force: true });
+
+  // summary, see formatSummary
+  report({
+    type: 'summary',
+    name: pkgNameVersion,
+    seconds: (Date.now() - startTime) / 1000,
+    upToDate: false,
+    installed: unpackedPackages.size,
+    reused: reusedPackages.size,
+    removed: oldState ? staleEntries(oldState, newState).packages.length : 0,
+    scripts: numScripts,
+    ignoredScripts: [...ignoredScripts],
+    collisions: binCollisions.map(formatBinCollision),
+    skippedOptional: skippedOptional.size,
+    peerIssues: peerReport.length,
+    overrideIssues: overrideReport.length,
+    contentStore: contentStore ? { path: contentStore, added: numStoreAdded, reused: numStoreReused } : null,
+  });
+  return result(newState, false);
+}
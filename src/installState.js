@@ -0,0 +1,95 @@
+// state of the last install, in node_modules/.install-state.json
+// a second install with the same inputs is a no-op.
+// after a change, packages of the last install are reused
+// in the new tree, so they are not fetched, unpacked or built again
+//
+// all paths are relative to node_modules
+// {
+//   version: 3,
+//   hash: hash of all inputs, see installHash
+//   packages: { ".pnpm/x@1.0.0": { name, version, dir: ".pnpm/x@1.0.0/node_modules/x", resolved, integrity, links, scripts } },
+//   links: [ "x", ".pnpm/x@1.0.0/node_modules/y", ... ],
+//   bins: [ ".bin/x", ... ],
+//   pending: true while the lifecycle scripts of the new tree run, see isPending
+// }
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const stateVersion = 3;
+
+export const stateFileName = '.install-state.json';
+
+export function emptyState(hash) {
+  return { version: stateVersion, hash, packages: {}, links: [], bins: [] };
+}
+
+// returns null when there is no state, or the state is from another version
+export function readInstallState(nodeModulesDir) {
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(path.join(nodeModulesDir, stateFileName), 'utf8'));
+  }
+  catch (error) {
+    if (error.code == 'ENOENT' || error instanceof SyntaxError) return null;
+    throw error;
+  }
+  if (!state || state.version != stateVersion) return null;
+  return state;
+}
+
+export function writeInstallState(nodeModulesDir, state) {
+  const statePath = path.join(nodeModulesDir, stateFileName);
+  // write and rename, so a crash never leaves half a file
+  fs.writeFileSync(`${statePath}.tmp`, JSON.stringify(state, null, 2) + '\n', 'utf8');
+  fs.renameSync(`${statePath}.tmp`, statePath);
+}
+
+// true when the install of the tree in nodeModulesDir was not finished
+// the tree was swapped with the old node_modules, but its scripts were not done
+export function isPending(nodeModulesDir) {
+  const state = readInstallState(nodeModulesDir);
+  return !!(state && state.pending);
+}
+
+// parts: strings or json values
+export function installHash(parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) {
+    hash.update(typeof part == 'string' ? part : JSON.stringify(part));
+    hash.update('\0');
+  }
+  return hash.digest('hex');
+}
+
+// like fs.existsSync, but true for broken symlinks
+export function pathExists(filePath) {
+  try {
+    fs.lstatSync(filePath);
+    return true;
+  }
+  catch (error) {
+    if (error.code == 'ENOENT' || error.code == 'ENOTDIR') return false;
+    throw error;
+  }
+}
+
+// true when all packages, links and binaries of the state still exist in nodeModulesDir
+export function isComplete(state, nodeModulesDir) {
+  return [...Object.values(state.packages).map(p => p.dir), ...state.links, ...state.bins]
+    .every(p => pathExists(path.join(nodeModulesDir, p)));
+}
+
+// returns the paths of the old state which are not in the new state
+export function staleEntries(oldState, newState) {
+  const stale = (oldList, newList) => {
+    const newSet = new Set(newList);
+    return oldList.filter(p => !newSet.has(p));
+  };
+  return {
+    packages: stale(Object.keys(oldState.packages), Object.keys(newState.packages)),
+    links: stale(oldState.links, newState.links),
+    bins: stale(oldState.bins, newState.bins),
+  };
+}
@@ -0,0 +1,58 @@
+// subresource integrity (SRI) check for tarballs
+// https://w3c.github.io/webappsec-subresource-integrity/#integrity-metadata-description
+// example: "sha512-D+zkORCb...== sha1-2f3d..."
+
+import crypto from 'crypto';
+
+// strongest algorithm first
+export const algorithmList = ['sha512', 'sha384', 'sha256', 'sha1'];
+
+// parse an SRI string to a map of algorithm -> list of base64 digests
+// unknown algorithms and options ("?foo") are ignored
+export function parseIntegrity(integrity) {
+  const hashes = {};
+  const add = (algorithm, digest) => {
+    if (!hashes[algorithm]) hashes[algorithm] = [];
+    hashes[algorithm].push(digest);
+  };
+  for (const token of String(integrity || '').trim().split(/\s+/)) {
+    if (token == '') continue;
+    // legacy: hex sha1 from the "shasum" field
+    const hexMatch = token.match(/^[0-9a-f]{40}$/i);
+    if (hexMatch) {
+      add('sha1', Buffer.from(token, 'hex').toString('base64'));
+      continue;
+    }
+    const match = token.match(/^([a-z0-9]+)-([A-Za-z0-9+/=_-]+)(?:\?.*)?$/);
+    if (!match) continue;
+    const [_, algorithm, digest] = match;
+    if (!algorithmList.includes(algorithm)) continue;
+    // also accept base64url
+    add(algorithm, digest.replace(/-/g, '+').replace(/_/g, '/'));
+  }
+  return hashes;
+}
+
+// throw when data does not match the integrity string
+// only the strongest algorithm is checked, like npm's ssri
+// returns the checked digest as SRI string
+export function verifyIntegrity(data, integrity, name) {
+  const hashes = parseIntegrity(integrity);
+  const algorithm = algorithmList.find(a => a in hashes);
+  if (!algorithm) {
+    throw new Error(`${name}: invalid integrity value: ${JSON.stringify(integrity)}`);
+  }
+  const actual = crypto.createHash(algorithm).update(data).digest('base64');
+  if (!hashes[algorithm].includes(actual)) {
+    const err = new Error([
+      `ERROR integrity mismatch in ${name}`,
+      `expected: ${hashes[algorithm].map(d => `${algorithm}-${d}`).join(' ')}`,
+      `actual:   ${algorithm}-${actual}`,
+    ].join('\n'));
+    err.code = 'EINTEGRITY';
+    err.expected = integrity;
+    err.actual = `${algorithm}-${actual}`;
+    throw err;
+  }
+  return `${algorithm}-${actual}`;
+}
@@ -0,0 +1,122 @@
+// run lifecycle scripts without npm
+// scripts run in "sh -c" with the environment variables that npm would set
+// https://docs.npmjs.com/cli/v10/using-npm/scripts#environment
+// https://github.com/npm/run-script/blob/main/lib/package-envs.js
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import child_process from 'child_process';
+
+export const depScriptNames = ['preinstall', 'install', 'postinstall'];
+
+export const rootScriptNames = ['preinstall', 'install', 'postinstall', 'prepublish', 'preprepare', 'prepare', 'postprepare'];
+
+// npm_package_* variables, like npm v7+
+// only name, version, config, engines and bin are exported
+function packageEnv(pkg) {
+  const env = {};
+  const add = (prefix, obj) => {
+    for (const [key, value] of Object.entries(obj || {})) {
+      const name = `${prefix}_${key.replace(/[^a-zA-Z0-9_]/g, '_')}`;
+      if (value && typeof value == 'object' && !Array.isArray(value)) add(name, value);
+      else env[name] = String(value);
+    }
+  };
+  if (pkg.name) env.npm_package_name = pkg.name;
+  if (pkg.version) env.npm_package_version = pkg.version;
+  add('npm_package_config', pkg.config);
+  add('npm_package_engines', pkg.engines);
+  if (typeof pkg.bin == 'string') env[`npm_package_bin_${pkg.name}`] = pkg.bin;
+  else add('npm_package_bin', pkg.bin);
+  return env;
+}
+
+// return the scripts to run for a package, in order
+// like npm, a package with binding.gyp and without install scripts gets "node-gyp rebuild"
+export function getScripts(pkg, pkgDir, scriptNames = depScriptNames) {
+  const scripts = { ...pkg.scripts };
+  if (!scripts.install && !scripts.preinstall && fs.existsSync(path.join(pkgDir, 'binding.gyp'))) {
+    scripts.install = 'node-gyp rebuild';
+  }
+  return scriptNames.filter(name => scripts[name]).map(name => [name, scripts[name]]);
+}
+
+// opts.pkg: parsed package.json
+// opts.pkgDir: package directory, cwd of the script
+// opts.event: script name, for example "postinstall"
+// opts.script: script source
+// opts.binDirs: directories with executables, added to PATH
+// opts.env: extra environment variables, for example NODE_PATH
+// opts.initCwd: project directory
+// resolves to the combined stdout and stderr of the script
+// rejects when the script fails. error.output has the combined output
+export function runScript(opts) {
+  const pkgJsonPath = path.resolve(opts.pkgDir, 'package.json');
+  const env = {
+    ...process.env,
+    ...packageEnv(opts.pkg),
+    ...opts.env,
+    PATH: [
+      ...(opts.binDirs || []),
+      path.dirname(process.execPath),
+      process.env.PATH,
+    ].filter(Boolean).join(path.delimiter),
+    INIT_CWD: opts.initCwd || process.cwd(),
+    npm_lifecycle_event: opts.event,
+    npm_lifecycle_script: opts.script,
+    npm_package_json: pkgJsonPath,
+    npm_node_execpath: process.execPath,
+    npm_config_user_agent: `pnpm-install-only node/${process.version} ${process.platform} ${process.arch}`,
+  };
+
+  // stdout and stderr go to one file, so we keep the order of lines
+  const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pnpm-install-only-script-'));
+  const logPath = path.join(logDir, 'output.log');
+  const logFd = fs.openSync(logPath, 'w');
+
+  return new Promise((resolve, reject) => {
+    const child = child_process.spawn('sh', ['-c', opts.script], {
+      cwd: opts.pkgDir,
+      env,
+      stdio: ['ignore', logFd, logFd],
+    });
+    const done = (error) => {
+      fs.closeSync(logFd);
+      const output = fs.readFileSync(logPath, 'utf8');
+      fs.rmSync(logDir, { recursive: true, force: true });
+      if (error) {
+        error.output = output;
+        reject(error);
+      }
+      else {
+        resolve(output);
+      }
+    };
+    child.on('error', error => done(error));
+    child.on('close', (code, signal) => {
+      if (code === 0) return done(null);
+      const name = `${opts.pkg.name}@${opts.pkg.version}`;
+      const error = new Error(`ERROR in ${name} ${opts.event}: ${signal ? `killed by signal ${signal}` : `exit code ${code}`}`);
+      error.code = 'ELIFECYCLE';
+      error.exitCode = code;
+      done(error);
+    });
+  });
+}
+
+// allowlist of packages which can run scripts
+// like pnpm: package.json "pnpm": { "onlyBuiltDependencies": [...], "neverBuiltDependencies": [...] }
+// entries are package names or name@version
+// when onlyBuiltDependencies is missing, all packages are allowed
+export function scriptAllowlist(pkg) {
+  const config = pkg.pnpm || {};
+  const only = config.onlyBuiltDependencies || pkg.onlyBuiltDependencies;
+  const never = config.neverBuiltDependencies || pkg.neverBuiltDependencies || [];
+  const matches = (list, dep) => list.includes(dep.name) || list.includes(`${dep.name}@${dep.version}`);
+  return dep => {
+    if (matches(never, dep)) return false;
+    if (only) return matches(only, dep);
+    return true;
+  };
+}
@@ -1,35 +1,54 @@
 import * as path from 'path'
 
+import { resolvePeers } from './peers.js'
+
+// npm alias in lockfile v1: "version": "npm:string-width@4.2.3"
+const aliasVersionExpr = /^npm:((?:@[^/@]+\/)?[^/@]+)@(.+)$/
+
 class LogicalTree {
+  // name: the name in node_modules
+  // opts.name: the package name, when it differs for npm aliases
   constructor (name, address, opts) {
-    this.name = name
-    this.version = opts.version
+    const alias = aliasVersionExpr.exec(opts.version || '')
+    this.linkName = name
+    this.name = alias ? alias[1] : (opts.name || name)
+    this.version = alias ? alias[2] : opts.version
     this.address = address || ''
     this.optional = !!opts.optional
     this.dev = !!opts.dev
+    this.devOptional = !!opts.devOptional
     this.bundled = !!opts.bundled
     this.resolved = opts.resolved
     this.integrity = opts.integrity
+    this.os = opts.os
+    this.cpu = opts.cpu
+    this.libc = opts.libc
+    this.link = !!opts.link
+    this.peerDependencies = opts.peerDependencies || {}
+    this.peerDependenciesMeta = opts.peerDependenciesMeta || {}
+    this.peerSuffix = opts.peerSuffix || ''
     this.dependencies = {}
+    // peers in the lockfile: name -> node, see addPackageDeps
+    this.lockfilePeers = {}
     this.requiredBy = new Set()
   }
 
   get isRoot () { return !this.requiredBy.size }
 
   addDep (dep) {
-    this.dependencies[dep.name] = dep
+    this.dependencies[dep.linkName] = dep
     dep.requiredBy.add(this)
     return this
   }
 
   delDep (dep) {
-    delete this.dependencies[dep.name]
+    delete this.dependencies[dep.linkName]
     dep.requiredBy.delete(this)
     return this
   }
 
   getDep (name) {
-    return this.dependencies[dep.name]
+    return this.dependencies[name]
   }
 
   path (prefix) {
@@ -95,6 +114,11 @@ class LogicalTree {
 }
 
 export function lockTree (pkg, pkgLock, opts) {
+  // lockfile v2 and v3 have the "packages" map
+  // v2 also has "dependencies" for backwards compatibility
+  if (pkgLock.packages) {
+    return packagesTree(pkg, pkgLock)
+  }
   const tree = makeNode(pkg.name, null, pkg)
   const allDeps = new Map()
   Array.from(
@@ -103,15 +127,87 @@ export function lockTree (pkg, pkgLock, opts) {
     .concat(Object.keys(pkg.dependencies || {})))
   ).forEach(name => {
     let dep = allDeps.get(name)
-    if (!dep) {
-      const depNode = (pkgLock.dependencies || {})[name]
-      dep = makeNode(name, name, depNode)
+    if (dep) {
+      tree.addDep(dep)
+      return
     }
+    const depNode = (pkgLock.dependencies || {})[name]
+    if (!depNode) {
+      // optional dependency was not installed
+      if (name in (pkg.optionalDependencies || {})) return
+      const err = new Error(`${name} not found in lockfile`)
+      err.target = name
+      throw err
+    }
+    dep = makeNode(name, name, depNode)
     addChild(dep, tree, allDeps, pkgLock)
   })
   return tree
 }
 
+// remove packages for --prod or --dev
+// opts.prod: remove packages with the dev flag. they are only required by devDependencies
+// devOptional packages are optional dependencies of production packages, so they stay
+// opts.dev: keep only the devDependencies of the root package and their dependencies
+// packages required by both sides have no dev flag, so they stay in both modes
+export function pruneTree (tree, pkg, opts) {
+  opts = opts || {}
+  if (opts.prod) {
+    // devOptional devDependencies of the root package
+    const prodNames = Object.keys(pkg.dependencies || {}).concat(Object.keys(pkg.optionalDependencies || {}))
+    Object.keys(pkg.devDependencies || {}).forEach(name => {
+      const dep = tree.dependencies[name]
+      if (dep && !prodNames.includes(name)) tree.delDep(dep)
+    })
+    tree.forEach((node, next) => {
+      Object.values(node.dependencies).forEach(dep => {
+        if (dep.dev) node.delDep(dep)
+      })
+      next()
+    })
+  }
+  if (opts.dev) {
+    const devNames = Object.keys(pkg.devDependencies || {})
+    Object.values(tree.dependencies).forEach(dep => {
+      if (!devNames.includes(dep.linkName)) tree.delDep(dep)
+    })
+  }
+  return tree
+}
+
+// link peer dependencies, see peers.js
+// returns { tree, issues }. the tree has new nodes, packages with peers can have one node per set of peers
+export function resolveTreePeers (tree) {
+  const ids = new Map()
+  const { children, issues } = resolvePeers(Object.entries(tree.dependencies), {
+    // nodes are unique by address, but the root has no address
+    id: node => {
+      if (!ids.has(node)) ids.set(node, String(ids.size))
+      return ids.get(node)
+    },
+    name: node => node.name,
+    version: node => node.version,
+    children: node => Object.entries(node.dependencies),
+    peers: node => node.peerDependencies,
+    peersMeta: node => node.peerDependenciesMeta,
+    lockfilePeer: (node, name) => node.lockfilePeers[name],
+    variant: (node, peerSuffix, deps) => {
+      const variant = makeNode(node.linkName, node.address, { ...node, peerSuffix })
+      deps.forEach(([linkName, dep]) => {
+        variant.dependencies[linkName] = dep
+        dep.requiredBy.add(variant)
+      })
+      return variant
+    },
+  })
+  const root = makeNode(tree.linkName, null, tree)
+  children.forEach(([linkName, dep]) => {
+    root.dependencies[linkName] = dep
+    dep.requiredBy.add(root)
+  })
+  return { tree: root, issues }
+}
+
 export function makeNode (name, address, opts) {
   return new LogicalTree(name, address, opts || {})
 }
@@ -123,9 +219,9 @@ export function addChild (dep, tree, allDeps, pkgLock) {
   const lockNode = atAddr(pkgLock, addr)
   Object.keys(lockNode.requires || {}).forEach(name => {
     const tdepAddr = reqAddr(pkgLock, name, addr)
-    const tdep = makeNode(name, tdepAddr, atAddr(pkgLock, tdepAddr))
-    addChild(tdep, dep, allDeps, pkgLock)
-    /* this would deduplicate "transitive" deps
+    // bundled dependencies are unpacked with their parent
+    if (atAddr(pkgLock, tdepAddr).bundled) return
+    // deduplicate by address. this also breaks cycles
     let tdep = allDeps.get(tdepAddr)
     if (!tdep) {
       tdep = makeNode(name, tdepAddr, atAddr(pkgLock, tdepAddr))
@@ -133,10 +229,106 @@ export function addChild (dep, tree, allDeps, pkgLock) {
     } else {
       dep.addDep(tdep)
     }
-    */
   })
 }
 
+// lockfile v2 and v3: "packages" map with install locations as keys
+// "node_modules/a/node_modules/b" has the address "a:b"
+function packagesTree (pkg, pkgLock) {
+  const packages = pkgLock.packages
+  const tree = makeNode(pkg.name, null, pkg)
+  const allDeps = new Map()
+  addPackageDeps(tree, '', pkg, packages, allDeps)
+  return tree
+}
+
+// lockfile v2 and v3: tree of a workspace package, like "packages/foo"
+// dependencies are resolved from the node_modules of the workspace, then from the root
+export function workspaceTree (pkg, pkgLock, location) {
+  const packages = pkgLock.packages || {}
+  if (!packages[location]) {
+    throw new Error(`workspace ${location} not found in lockfile`)
+  }
+  const tree = makeNode(pkg.name, null, pkg)
+  addPackageDeps(tree, location, pkg, packages, new Map(), true)
+  return tree
+}
+
+// location "node_modules/a/node_modules/@b/c" -> address "a:@b/c"
+export function locationAddr (location) {
+  return location.replace(/^node_modules\//, '').split('/node_modules/').join(':')
+}
+
+// find the location of a required package, like require() in node
+// look in the node_modules of fromLocation, then in the node_modules of its parents
+export function packageLocation (packages, name, fromLocation) {
+  let base = fromLocation
+  while (true) {
+    const location = `${base ? `${base}/` : ''}node_modules/${name}`
+    if (packages[location]) return location
+    if (!base) return null
+    const index = base.lastIndexOf('/node_modules/')
+    base = (index == -1) ? '' : base.slice(0, index)
+  }
+}
+
+// isImporter: node is the root package or a workspace, so devDependencies are required
+function addPackageDeps (node, location, entry, packages, allDeps, isImporter = location == '') {
+  // name -> optional
+  const required = new Map()
+  if (isImporter) {
+    Object.keys(entry.devDependencies || {}).forEach(name => required.set(name, false))
+  }
+  Object.keys(entry.optionalDependencies || {}).forEach(name => required.set(name, true))
+  Object.keys(entry.dependencies || {}).forEach(name => required.set(name, false))
+
+  required.forEach((optional, name) => {
+    const depLocation = packageLocation(packages, name, location)
+    if (!depLocation) {
+      // optional dependency was not installed, for example on other platforms
+      if (optional) return
+      const err = new Error(`${name} not accessible from ${location || 'root package'}`)
+      err.target = name
+      err.from = location
+      throw err
+    }
+    const dep = locationNode(name, depLocation, packages, allDeps)
+    if (dep) node.addDep(dep)
+  })
+
+  // npm 7+ installs peer dependencies, like "node_modules/react": { "peer": true }
+  // they are linked when no parent provides the peer, see resolveTreePeers
+  if (!isImporter) {
+    Object.keys(entry.peerDependencies || {}).forEach(name => {
+      const peerLocation = packageLocation(packages, name, location)
+      // missing peers are reported by resolveTreePeers
+      if (!peerLocation) return
+      const peer = locationNode(name, peerLocation, packages, allDeps)
+      if (peer) node.lockfilePeers[name] = peer
+    })
+  }
+}
+
+// node of the package at depLocation, with its dependencies. one node per location
+// returns null for bundled dependencies, they are unpacked with their parent
+function locationNode (name, depLocation, packages, allDeps) {
+  let dep = allDeps.get(depLocation)
+  if (dep) return dep
+  const depEntry = packages[depLocation]
+  if (depEntry.inBundle) return null
+  // workspace link: dependencies are resolved from the link target
+  const targetLocation = depEntry.link ? depEntry.resolved : depLocation
+  const target = depEntry.link ? (packages[targetLocation] || {}) : depEntry
+  dep = makeNode(name, locationAddr(depLocation), {
+    ...target,
+    resolved: depEntry.link ? `file:${targetLocation}` : target.resolved,
+    link: depEntry.link,
+  })
+  allDeps.set(depLocation, dep)
+  addPackageDeps(dep, targetLocation, target, packages, allDeps)
+  return dep
+}
+
 export function reqAddr (pkgLock, name, fromAddr) {
   const lockNode = atAddr(pkgLock, fromAddr)
   const child = (lockNode.dependencies || {})[name]
@@ -0,0 +1,184 @@
+// overrides of npm and resolutions of yarn and pnpm in package.json
+// we install from the lockfile, so we can only check that the lockfile has the overridden versions
+//
+// npm: https://docs.npmjs.com/cli/v10/configuring-npm/package-json#overrides
+// "overrides": {
+//   "foo": "1.0.0",                  // foo everywhere
+//   "foo@^2.0.0": "2.1.0",           // foo versions matching ^2.0.0
+//   "bar": { ".": "2.0.0", "foo": "1.0.0" }, // bar, and foo in the dependencies of bar, at any depth
+//   "baz": "$baz"                    // same as "baz" in the dependencies of the root package
+// }
+//
+// yarn: https://classic.yarnpkg.com/en/docs/selective-version-resolutions
+// "resolutions": {
+//   "foo": "1.0.0",                  // foo everywhere
+//   "bar/foo": "1.0.0",              // foo as a direct dependency of bar
+//   "bar/**/foo": "1.0.0",           // foo in the dependencies of bar, at any depth
+//   "foo@npm:^2.0.0": "2.1.0"        // yarn berry: foo versions matching ^2.0.0
+// }
+//
+// a rule has a list of selectors { name, range, direct }, the target package last
+// direct: the package is a direct dependency of the package of the previous selector
+
+import semver from 'semver';
+
+import { splitDescriptor } from './descriptor.js';
+
+function makeSelector(descriptor, direct) {
+  const [name, range] = splitDescriptor(descriptor);
+  return { name, range, direct };
+}
+
+function npmOverrideRules(pkg) {
+  const rootSpecs = { ...pkg.optionalDependencies, ...pkg.devDependencies, ...pkg.dependencies };
+  // "$foo" -> the range of foo in package.json
+  const resolveSpec = (key, spec) => {
+    if (!spec.startsWith('$')) return spec;
+    const name = spec.slice(1);
+    if (!(name in rootSpecs)) {
+      throw new Error(`invalid "overrides" in package.json: ${JSON.stringify(key)}: unable to resolve reference ${spec}`);
+    }
+    return rootSpecs[name];
+  };
+  const rules = [];
+  const addRules = (overrides, parents, parentKey) => {
+    if (!overrides || typeof overrides != 'object' || Array.isArray(overrides)) {
+      throw new Error(`invalid "overrides" in package.json. expected an object`);
+    }
+    for (const [descriptor, value] of Object.entries(overrides)) {
+      // "." is the parent package itself
+      if (descriptor == '.') continue;
+      const key = parentKey ? `${parentKey} > ${descriptor}` : descriptor;
+      const selectors = [...parents, makeSelector(descriptor, false)];
+      if (typeof value == 'string') {
+        rules.push({ source: 'overrides', key, selectors, spec: resolveSpec(key, value) });
+        continue;
+      }
+      if (typeof value['.'] == 'string') {
+        rules.push({ source: 'overrides', key, selectors, spec: resolveSpec(key, value['.']) });
+      }
+      addRules(value, selectors, key);
+    }
+  };
+  addRules(pkg.overrides, [], '');
+  return rules;
+}
+
+// "bar/**/@scope/foo" -> ["bar", "**", "@scope/foo"]
+function splitResolutionKey(key) {
+  const segments = [];
+  const parts = key.split('/');
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i].startsWith('@') && i + 1 < parts.length) {
+      segments.push(`${parts[i]}/${parts[i + 1]}`);
+      i++;
+      continue;
+    }
+    segments.push(parts[i]);
+  }
+  return segments;
+}
+
+function yarnResolutionRules(pkg) {
+  const resolutions = pkg.resolutions;
+  if (!resolutions || typeof resolutions != 'object' || Array.isArray(resolutions)) {
+    throw new Error(`invalid "resolutions" in package.json. expected an object`);
+  }
+  return Object.entries(resolutions).map(([key, spec]) => {
+    const selectors = [];
+    let direct = false;
+    for (const segment of splitResolutionKey(key)) {
+      if (segment == '**') {
+        direct = false;
+        continue;
+      }
+      // the first package can be anywhere
+      selectors.push(makeSelector(segment, direct && selectors.length > 0));
+      direct = true;
+    }
+    return { source: 'resolutions', key, selectors, spec };
+  });
+}
+
+// returns the rules of package.json for a lockfile format: "npm", "pnpm" or "yarn"
+// npm only has overrides. yarn and pnpm have resolutions
+export function parseOverrides(pkg, format) {
+  if (format == 'npm') return pkg.overrides == null ? [] : npmOverrideRules(pkg);
+  return pkg.resolutions == null ? [] : yarnResolutionRules(pkg);
+}
+
+// does the package match the spec of an override?
+// returns null when the spec can not be checked without the registry,
+// for example "latest", git URLs or tarballs
+export function specMatches(spec, node) {
+  let name = null;
+  let range = spec.startsWith('npm:') ? spec.slice('npm:'.length) : spec;
+  // npm alias: "npm:string-width@^4.2.0"
+  if (spec.startsWith('npm:') && /^(@[^/]+\/)?[^@/]+@/.test(range)) {
+    [name, range] = splitDescriptor(range);
+  }
+  if (!semver.validRange(range) || !semver.valid(node.version)) return null;
+  if (name != null && name != node.name) return false;
+  return semver.satisfies(node.version, range, { includePrerelease: true });
+}
+
+function selectorMatches(selector, node) {
+  if (selector.name != node.name && selector.name != node.linkName) return false;
+  return !selector.range || specMatches(selector.range, node) == true;
+}
+
+// depPath: list of packages from the root package to the checked package
+// returns a list of { source, key, spec, found, path } for rules which match the package,
+// but not its version
+export function checkOverrides(rules, depPath) {
+  const node = depPath[depPath.length - 1];
+  const nameVersion = n => `${n.name}@${n.version}`;
+  const issues = [];
+  for (const rule of rules) {
+    const { selectors } = rule;
+    // selectors[i] matches depPath[index], and the selectors before match the parents
+    const matchAt = (i, index) => {
+      if (!selectorMatches(selectors[i], depPath[index])) return false;
+      if (i == 0) return true;
+      // depPath[0] is the root package, which is never overridden
+      if (selectors[i].direct) return index > 1 && matchAt(i - 1, index - 1);
+      for (let parent = index - 1; parent >= 1; parent--) {
+        if (matchAt(i - 1, parent)) return true;
+      }
+      return false;
+    };
+    if (depPath.length < 2 || !matchAt(selectors.length - 1, depPath.length - 1)) continue;
+    if (specMatches(rule.spec, node) != false) continue;
+    issues.push({
+      source: rule.source,
+      key: rule.key,
+      spec: rule.spec,
+      found: nameVersion(node),
+      path: depPath.slice(1).map(nameVersion).join(' > '),
+    });
+  }
+  return issues;
+}
+
+// key of a path for checkOverrides. paths with the same key have the same issues, also in their dependencies
+// so a walk of the lockfile checks every path, but walks the dependencies of a package once per key
+// packages which match no selector are collapsed to "*", the order and adjacency of the others is kept
+// in a cycle, the path is cut at the first visit of the package
+export function overridePathKey(rules, depPath) {
+  const node = depPath[depPath.length - 1];
+  const id = n => `${n.linkName || n.name} ${n.name}@${n.version}${n.peerSuffix || ''}`;
+  const first = depPath.findIndex(n => id(n) == id(node));
+  const parts = [];
+  // depPath[0] is the root package, which is never overridden
+  for (const n of depPath.slice(1, first + 1)) {
+    const matches = rules.some(rule => rule.selectors.some(selector => selectorMatches(selector, n)));
+    const part = matches ? id(n) : '*';
+    if (part == '*' && parts[parts.length - 1] == '*') continue;
+    parts.push(part);
+  }
+  return parts.join(' > ');
+}
+
+export function formatOverrideIssue({ source, key, spec, found, path }) {
+  return `${source} ${JSON.stringify(key)}: ${JSON.stringify(spec)}: found ${found} in ${path}`;
+}
@@ -0,0 +1,179 @@
+// peer dependencies, like pnpm
+// https://pnpm.io/how-peers-are-resolved
+//
+// a package is linked to its peers from the nearest ancestor which provides them:
+// the dependencies of its parent, then of the grandparent, ... then of the root package
+// when the same version resolves different peers in different places,
+// it gets one node per set of peers, with a peer suffix like "(react@18.2.0)"
+// so it is unpacked to node_modules/.pnpm/plugin@1.0.0_react@18.2.0/
+// the suffix also has the peers of dependencies which are resolved outside of the package,
+// because they are linked from its store directory
+//
+// graph: adapter for the dependency graph
+//   id(node): unique string
+//   name(node), version(node)
+//   children(node): list of [linkName, child]
+//   peers(node): { name: range } from peerDependencies
+//   peersMeta(node): { name: { optional } } from peerDependenciesMeta
+//   lockfilePeer(node, name): optional. the peer in the lockfile, used when no ancestor provides it
+//     npm 7+ installs missing peers, like "node_modules/react": { "peer": true }
+//   variant(node, peerSuffix, deps): new node with deps, a list of [linkName, resolved child]
+
+import semver from 'semver';
+
+// resolve the peers of rootChildren, the list of [linkName, child] of the root package
+// returns { children: list of [linkName, resolved child], issues }
+// issues: list of { nameVersion, name, range, found, problem: "missing" or "mismatch" }
+export function resolvePeers(rootChildren, graph) {
+  const issues = new Map();
+  // key -> { node, outside: Map of name -> scope entry }
+  const results = new Map();
+  const active = new Set();
+  const reachableMemo = new Map();
+
+  const nameVersion = node => `${graph.name(node)}@${graph.version(node)}`;
+
+  // names of the peers of node and its dependencies, which are not provided by node
+  // only these names can change the result of resolveNode
+  const reachablePeers = node => {
+    const nodeId = graph.id(node);
+    if (reachableMemo.has(nodeId)) return reachableMemo.get(nodeId);
+    const names = new Set();
+    reachableMemo.set(nodeId, names); // breaks cycles
+    const provided = new Set(graph.children(node).map(([linkName]) => linkName));
+    for (const name of Object.keys(graph.peers(node))) {
+      if (!provided.has(name)) names.add(name);
+    }
+    for (const [, child] of graph.children(node)) {
+      for (const name of reachablePeers(child)) {
+        if (!provided.has(name)) names.add(name);
+      }
+    }
+    return names;
+  };
+
+  // scopes: list of Map of name -> { node, resolve }, the nearest ancestor last
+  const findPeer = (scopes, name) => {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      if (scopes[i].has(name)) return scopes[i].get(name);
+    }
+    return null;
+  };
+
+  // the peer of the lockfile is resolved like a dependency of the parent of node
+  const lockfilePeer = (node, name, scopes) => {
+    const peer = graph.lockfilePeer ? graph.lockfilePeer(node, name) : null;
+    return peer == null ? null : { node: peer, resolve: () => resolveNode(peer, scopes) };
+  };
+
+  const checkPeer = (node, name, range, found) => {
+    const optional = !!(graph.peersMeta(node)[name] || {}).optional;
+    const problem = (
+      found == null ? (optional ? null : 'missing') :
+      (semver.validRange(range) && !semver.satisfies(graph.version(found), range, { includePrerelease: true })) ? 'mismatch' :
+      null
+    );
+    if (!problem) return;
+    const issue = { nameVersion: nameVersion(node), name, range, found: found && nameVersion(found), problem };
+    issues.set(JSON.stringify(issue), issue);
+  };
+
+  function resolveNode(node, scopes) {
+    const providers = [...reachablePeers(node)].sort().map(name => {
+      const entry = findPeer(scopes, name);
+      return [name, entry && graph.id(entry.node)];
+    });
+    const key = JSON.stringify([graph.id(node), providers]);
+    if (results.has(key)) return results.get(key);
+    // cycle: link the node without resolving its peers again
+    if (active.has(key)) return { node, outside: new Map() };
+    active.add(key);
+
+    const children = graph.children(node);
+    const childNames = new Set(children.map(([linkName]) => linkName));
+
+    // a dependency with the same name wins over the peer
+    const ownPeers = [];
+    for (const [name, range] of Object.entries(graph.peers(node))) {
+      if (childNames.has(name)) {
+        checkPeer(node, name, range, children.find(([linkName]) => linkName == name)[1]);
+        continue;
+      }
+      const entry = findPeer(scopes, name) || lockfilePeer(node, name, scopes);
+      checkPeer(node, name, range, entry && entry.node);
+      if (entry) ownPeers.push([name, entry]);
+    }
+
+    // dependencies of node resolve their peers from the dependencies and peers of node
+    const scope = new Map(ownPeers);
+    const childScopes = [...scopes, scope];
+    for (const [linkName, child] of children) {
+      scope.set(linkName, { node: child, resolve: () => resolveNode(child, childScopes) });
+    }
+
+    const deps = [];
+    const outside = new Map(ownPeers);
+    for (const [linkName] of children) {
+      const result = scope.get(linkName).resolve();
+      deps.push([linkName, result.node]);
+      for (const [name, entry] of result.outside) {
+        if (!childNames.has(name)) outside.set(name, entry);
+      }
+    }
+    // peers are linked next to the dependencies, in the store directory of node
+    for (const [name, entry] of ownPeers) {
+      deps.push([name, entry.resolve().node]);
+    }
+
+    const peerSuffix = [...outside.keys()].sort().map(name => `(${nameVersion(outside.get(name).node)})`).join('');
+    const result = { node: graph.variant(node, peerSuffix, deps), outside };
+    active.delete(key);
+    results.set(key, result);
+    return result;
+  }
+
+  const rootScope = new Map();
+  for (const [linkName, child] of rootChildren) {
+    rootScope.set(linkName, { node: child, resolve: () => resolveNode(child, [rootScope]) });
+  }
+  const children = rootChildren.map(([linkName]) => [linkName, rootScope.get(linkName).resolve().node]);
+  return { children, issues: [...issues.values()] };
+}
+
+// lockgraph of pnpmLock.js or yarnLock.js
+// returns { lockgraph, issues }. nodes with resolved peers get new ids with the peer suffix
+// pnpm-lock.yaml has resolved peers, so its nodes are only checked
+export function resolveLockgraphPeers(lockgraph) {
+  const nodes = {};
+  const { children, issues } = resolvePeers(Object.entries(lockgraph.root.deps), {
+    id: id => id,
+    name: id => lockgraph.nodes[id].name,
+    version: id => lockgraph.nodes[id].version,
+    children: id => Object.entries(lockgraph.nodes[id].deps),
+    peers: id => lockgraph.nodes[id].peerDependencies || {},
+    peersMeta: id => lockgraph.nodes[id].peerDependenciesMeta || {},
+    variant: (id, peerSuffix, deps) => {
+      const node = lockgraph.nodes[id];
+      const variantId = `${id}${peerSuffix}`;
+      nodes[variantId] = {
+        ...node,
+        peerSuffix: (node.peerSuffix || '') + peerSuffix,
+        deps: Object.fromEntries(deps),
+      };
+      return variantId;
+    },
+  });
+  // nodes of cycles are linked without resolving their peers again
+  for (const [id, node] of Object.entries(lockgraph.nodes)) {
+    if (!nodes[id]) nodes[id] = node;
+  }
+  return {
+    lockgraph: { ...lockgraph, root: { ...lockgraph.root, deps: Object.fromEntries(children) }, nodes },
+    issues,
+  };
+}
+
+export function formatPeerIssue({ nameVersion, name, range, found, problem }) {
+  if (problem == 'missing') return `${nameVersion}: missing peer ${name}@${range}`;
+  return `${nameVersion}: unmet peer ${name}@${range}: found ${found}`;
+}
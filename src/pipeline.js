@@ -0,0 +1,65 @@
+// helpers for the parallel install pipeline
+
+import os from 'os';
+
+export const defaultConcurrency = Math.max(4, os.cpus().length);
+
+// limit the number of concurrent async jobs
+// const limit = createLimit(4); await limit(() => job());
+export function createLimit(concurrency) {
+  if (!(concurrency >= 1)) {
+    throw new Error(`invalid concurrency ${concurrency}. expected a number >= 1`);
+  }
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= concurrency || queue.length == 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return fn => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+// call fn(key) for every key reachable from rootKeys
+// fn(key) is called only after fn was done for all children of key
+// children: Map of key -> iterable of child keys
+// cycles are broken where the depth-first search finds them
+// independent keys run concurrently, limited by limit
+// after the first error, no more jobs are started
+export async function runDependencyOrder(rootKeys, children, fn, limit) {
+  const promises = new Map();
+  const inProgress = new Set();
+  let failed = false;
+
+  function visit(key) {
+    if (promises.has(key)) return promises.get(key);
+    inProgress.add(key);
+    const childPromises = [];
+    for (const childKey of children.get(key) || []) {
+      // cycle: childKey is an ancestor of key
+      if (inProgress.has(childKey)) continue;
+      childPromises.push(visit(childKey));
+    }
+    inProgress.delete(key);
+    const promise = Promise.all(childPromises).then(() => limit(() => {
+      if (failed) return;
+      return Promise.resolve(fn(key)).catch(error => {
+        failed = true;
+        throw error;
+      });
+    }));
+    // avoid unhandled rejections. the error is thrown by Promise.all below
+    promise.catch(() => null);
+    promises.set(key, promise);
+    return promise;
+  }
+
+  await Promise.all(Array.from(rootKeys).map(visit));
+}
@@ -0,0 +1,43 @@
+// check the "os", "cpu" and "libc" fields of packages
+// https://docs.npmjs.com/cli/v10/configuring-npm/package-json#os
+// https://github.com/npm/npm-install-checks
+
+// libc of the current process: "glibc" or "musl" on linux, null otherwise
+// based on https://github.com/lovell/detect-libc
+export function detectLibc() {
+  if (process.platform != 'linux') return null;
+  const report = process.report && process.report.getReport();
+  const header = report && (typeof report == 'string' ? JSON.parse(report) : report).header;
+  if (header && header.glibcVersionRuntime) return 'glibc';
+  const sharedObjects = (report && report.sharedObjects) || [];
+  if (sharedObjects.some(f => f.includes('libc.musl-') || f.includes('ld-musl-'))) return 'musl';
+  return 'glibc';
+}
+
+export function currentPlatform() {
+  return {
+    os: process.platform,
+    cpu: process.arch,
+    libc: detectLibc(),
+  };
+}
+
+// list: ["linux", "darwin"] or ["!win32"]
+function matchesList(list, value) {
+  if (list == null) return true;
+  if (typeof list == 'string') list = [list];
+  if (list.length == 0) return true;
+  if (list.includes(`!${value}`)) return false;
+  const positive = list.filter(v => !v.startsWith('!'));
+  return positive.length == 0 || positive.includes(value) || positive.includes('any');
+}
+
+// return the names of the fields that do not match, for example ["os", "cpu"]
+export function platformMismatch(pkg, platform) {
+  const result = [];
+  if (!matchesList(pkg.os, platform.os)) result.push('os');
+  if (!matchesList(pkg.cpu, platform.cpu)) result.push('cpu');
+  // libc is only defined on linux
+  if (platform.os == 'linux' && platform.libc && !matchesList(pkg.libc, platform.libc)) result.push('libc');
+  return result;
+}
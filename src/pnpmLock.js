@@ -0,0 +1,147 @@
+// read pnpm-lock.yaml, lockfile versions 6 and 9
+// https://github.com/pnpm/spec/tree/master/lockfile
+//
+// the result is a "lockgraph", see walk_lockgraph in walk.js:
+// {
+//   root: { name, version, deps },
+//   nodes: { [id]: { name, version, peerSuffix, resolved, integrity, optional, dev, os, cpu, libc, peerDependencies, peerDependenciesMeta, deps } },
+//   warnings: [ ... ],
+//   hasIntegrity: false when the lockfile has no integrity values of tarballs, like yarn berry
+// }
+// deps: { [linkName]: id }. linkName differs from the package name for npm aliases
+// id: depPath from the lockfile, like "react-dom@18.2.0(react@18.2.0)"
+// peerSuffix: "(react@18.2.0)". packages with peer dependencies
+// get one node per set of resolved peers, like in pnpm
+
+import { parseYaml } from './yaml.js';
+import { tarballUrl } from './descriptor.js';
+
+export const pnpmLockVersionList = [6, 9];
+
+// "/@scope/name@1.0.0(peer@2.0.0)" -> { name: "@scope/name", version: "1.0.0", peerSuffix: "(peer@2.0.0)" }
+export function parseDepPath(depPath) {
+  let str = depPath.startsWith('/') ? depPath.slice(1) : depPath;
+  const peerStart = str.indexOf('(');
+  const peerSuffix = (peerStart == -1) ? '' : str.slice(peerStart);
+  if (peerStart != -1) str = str.slice(0, peerStart);
+  const at = str.indexOf('@', 1);
+  if (at == -1) return null;
+  return { name: str.slice(0, at), version: str.slice(at + 1), peerSuffix };
+}
+
+// importer or snapshot version reference -> node id
+// v6: "1.0.0", "1.0.0(peer@2.0.0)", "/alias-target@1.0.0", "file:foo.tgz"
+// v9: "1.0.0", "1.0.0(peer@2.0.0)", "alias-target@1.0.0", "file:foo.tgz"
+function refToId(name, ref, lockVersion) {
+  if (lockVersion == 6) {
+    return /^\d/.test(ref) ? `/${name}@${ref}` : ref;
+  }
+  const base = ref.replace(/\(.*$/, '');
+  // npm alias: the version has its own package name
+  if (/^(@[^/@]+\/)?[^@/:]+@/.test(base)) return ref;
+  return `${name}@${ref}`;
+}
+
+function resolvedOf(name, version, resolution = {}) {
+  if (resolution.tarball) return resolution.tarball;
+  if (resolution.directory) return `file:${resolution.directory}`;
+  if (resolution.type == 'git') return `git+${resolution.repo}#${resolution.commit}`;
+  return tarballUrl(name, version);
+}
+
+// dependencies of the root project
+// { dependencies, optionalDependencies, devDependencies }, values are { specifier, version }
+export function rootImporter(lock) {
+  // v6 single projects have the importer fields at the top level
+  return (lock.importers || {})['.'] || (lock.importers ? {} : lock);
+}
+
+// text: content of pnpm-lock.yaml
+// opts.prod: skip devDependencies of the root package
+// opts.dev: only devDependencies of the root package
+export function parsePnpmLock(text, opts = {}) {
+  const lock = parseYaml(text) || {};
+  const lockVersion = parseInt(String(lock.lockfileVersion), 10);
+  if (!pnpmLockVersionList.includes(lockVersion)) {
+    throw new Error(`unsupported pnpm-lock.yaml version ${lock.lockfileVersion}. expected one of: ${pnpmLockVersionList.join(', ')}`);
+  }
+
+  const importer = rootImporter(lock);
+  const packages = lock.packages || {};
+  // v9 splits packages (metadata) from snapshots (resolved dependencies)
+  const snapshots = (lockVersion == 9) ? (lock.snapshots || {}) : packages;
+
+  const nodes = {};
+  const warnings = [];
+
+  // { name: ref } -> { linkName: id }
+  const depsOf = (depsObjects, parentName) => {
+    const deps = {};
+    for (const depsObject of depsObjects) {
+      for (const [linkName, value] of Object.entries(depsObject || {})) {
+        // importers have { specifier, version }, snapshots have the version
+        const ref = (value && typeof value == 'object') ? value.version : String(value);
+        if (ref.startsWith('link:')) {
+          warnings.push(`${parentName}: ${linkName}: linked dependencies are not supported: ${ref}`);
+          continue;
+        }
+        deps[linkName] = refToId(linkName, ref, lockVersion);
+      }
+    }
+    return deps;
+  };
+
+  for (const [id, snapshot] of Object.entries(snapshots)) {
+    const parsed = parseDepPath(id);
+    const pkgKey = (lockVersion == 9) ? id.replace(/\(.*$/, '') : id;
+    const entry = packages[pkgKey] || {};
+    // non-registry packages have name and version fields
+    const name = entry.name || (parsed && parsed.name);
+    const version = entry.version || (parsed && parsed.version);
+    if (!name || !version) {
+      throw new Error(`failed to parse package ${JSON.stringify(id)} in pnpm-lock.yaml`);
+    }
+    const resolution = entry.resolution || {};
+    nodes[id] = {
+      name,
+      version,
+      peerSuffix: parsed ? parsed.peerSuffix : '',
+      resolved: resolvedOf(name, version, resolution),
+      integrity: resolution.integrity || '',
+      optional: !!(snapshot || {}).optional,
+      // v6 only. dev: undefined means "dev and prod"
+      dev: entry.dev,
+      os: entry.os,
+      cpu: entry.cpu,
+      libc: entry.libc,
+      // resolved peers are in deps. these are only checked, see peers.js
+      peerDependencies: entry.peerDependencies,
+      peerDependenciesMeta: entry.peerDependenciesMeta,
+      deps: depsOf([(snapshot || {}).dependencies, (snapshot || {}).optionalDependencies], id),
+    };
+  }
+
+  const rootName = (opts.pkg && opts.pkg.name) || 'package';
+  const root = {
+    name: rootName,
+    version: (opts.pkg && opts.pkg.version) || '0.0.0',
+    deps: depsOf([
+      opts.dev ? null : importer.dependencies,
+      opts.dev ? null : importer.optionalDependencies,
+      // devDependencies are required to build the root package from source
+      // so we only skip them with --prod
+      opts.prod ? null : importer.devDependencies,
+    ], rootName),
+  };
+
+  if (opts.prod) {
+    // v6: packages with "dev: true" are only required by devDependencies
+    for (const node of [root, ...Object.values(nodes)]) {
+      for (const [linkName, id] of Object.entries(node.deps)) {
+        if (nodes[id] && nodes[id].dev === true) delete node.deps[linkName];
+      }
+    }
+  }
+
+  return { root, nodes, warnings, hasIntegrity: true };
+}
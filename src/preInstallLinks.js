@@ -0,0 +1,119 @@
+// preInstallLinks: add symlinks to packages before lifecycle scripts run
+// for example to provide prebuilt native binaries from the nix store or a local cache
+// so the install script of the package has nothing to download or compile
+//
+// the config file is JSON or YAML, keyed by package name and an optional version range
+// values are maps of paths in the package to link targets
+// relative link targets are resolved from the directory of the config file
+//
+// sharp@^0.32.0:
+//   build/Release/sharp-linux-x64.node: /nix/store/xxx-sharp/lib/sharp-linux-x64.node
+// better-sqlite3:
+//   build: ./prebuilt/better-sqlite3/build
+
+import fs from 'fs';
+import path from 'path';
+import semver from 'semver';
+
+import { parseYaml } from './yaml.js';
+import { splitDescriptor } from './descriptor.js';
+
+// returns a list of { key, name, range, links: list of [linkPath, linkTarget] }
+// filePath: path of the config file, to resolve relative link targets
+export function parsePreInstallLinks(text, filePath) {
+  const config = filePath.endsWith('.json') ? JSON.parse(text) : parseYaml(text);
+  const baseDir = path.dirname(path.resolve(filePath));
+  const rules = [];
+  if (config == null) return rules;
+  if (typeof config != 'object' || Array.isArray(config)) {
+    throw new Error(`${filePath}: expected a map of package names`);
+  }
+  for (const [key, value] of Object.entries(config)) {
+    const [name, range] = splitDescriptor(key);
+    if (range != null && semver.validRange(range) == null) {
+      throw new Error(`${filePath}: ${key}: invalid version range ${range}`);
+    }
+    if (value == null || typeof value != 'object' || Array.isArray(value)) {
+      throw new Error(`${filePath}: ${key}: expected a map of link paths to link targets`);
+    }
+    const links = [];
+    for (const [linkPath, linkTarget] of Object.entries(value)) {
+      // links must stay in the package directory
+      const normalPath = path.posix.normalize(linkPath);
+      if (path.posix.isAbsolute(normalPath) || normalPath == '.' || normalPath.startsWith('../') || normalPath == '..') {
+        throw new Error(`${filePath}: ${key}: link path must be inside the package: ${linkPath}`);
+      }
+      if (typeof linkTarget != 'string' || linkTarget == '') {
+        throw new Error(`${filePath}: ${key}: ${linkPath}: expected a link target`);
+      }
+      links.push([normalPath, path.resolve(baseDir, linkTarget)]);
+    }
+    rules.push({ key, name, range, links });
+  }
+  return rules;
+}
+
+export function readPreInstallLinks(filePath) {
+  return parsePreInstallLinks(fs.readFileSync(filePath, 'utf8'), filePath);
+}
+
+// returns a list of [linkPath, linkTarget] for this package
+// throws when two matching rules have different targets for the same path
+export function preInstallLinksFor(rules, name, version) {
+  const result = new Map();
+  const sourceKey = new Map();
+  for (const rule of rules) {
+    if (rule.name != name) continue;
+    if (rule.range != null && !semver.satisfies(version, rule.range, { includePrerelease: true })) continue;
+    for (const [linkPath, linkTarget] of rule.links) {
+      if (result.has(linkPath) && result.get(linkPath) != linkTarget) {
+        throw new Error([
+          `preInstallLinks collision on ${name}@${version}: ${linkPath}`,
+          `${sourceKey.get(linkPath)}: ${result.get(linkPath)}`,
+          `${rule.key}: ${linkTarget}`,
+        ].join('\n'));
+      }
+      result.set(linkPath, linkTarget);
+      sourceKey.set(linkPath, rule.key);
+    }
+  }
+  return [...result];
+}
+
+// add the links to the package directory pkgDir
+// existing files and directories are replaced
+// returns a list of { linkPath, linkTarget, replaced: null, "file", "directory" or "symlink" }
+export function addPreInstallLinks(pkgDir, links) {
+  const result = [];
+  for (const [linkPath, linkTarget] of links) {
+    const fullPath = path.join(pkgDir, linkPath);
+    let replaced = null;
+    let stat = null;
+    try {
+      stat = fs.lstatSync(fullPath);
+    }
+    catch (error) {
+      if (error.code != 'ENOENT' && error.code != 'ENOTDIR') throw error;
+    }
+    if (stat) {
+      if (stat.isSymbolicLink() && fs.readlinkSync(fullPath) == linkTarget) {
+        // done in a previous install
+        result.push({ linkPath, linkTarget, replaced: null });
+        continue;
+      }
+      replaced = stat.isSymbolicLink() ? 'symlink' : stat.isDirectory() ? 'directory' : 'file';
+      fs.rmSync(fullPath, { recursive: true, force: true });
+    }
+    try {
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.symlinkSync(linkTarget, fullPath);
+    }
+    catch (error) {
+      // example: the parent path is a file in the package
+      error.message = `failed to add preInstallLinks symlink ${fullPath} -> ${linkTarget}: ${error.message}`;
+      throw error;
+    }
+    result.push({ linkPath, linkTarget, replaced });
+  }
+  return result;
+}
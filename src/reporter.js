@@ -0,0 +1,147 @@
+// output of install, as a stream of events
+// a reporter is an object with report(event). events have a type:
+//
+//   info { message }, debug { message } (only with verbose), warning { message }, error { message }
+//   fetch { url, path }: tarball was downloaded
+//   unpack { name, archive, path }: tarball was unpacked to the content store or node_modules
+//   link { target, path }: symlink was created
+//   added { name, version, linkName }: root dependency was installed
+//   script { name, script, command }: lifecycle script is running
+//   progress { done, total }: packages unpacked or reused, of the packages found so far
+//   summary: see formatSummary
+//
+// modes of createReporter:
+//   default: lines of text, like "unpack: x.tgz -> node_modules/.pnpm/x@1.0.0/node_modules/x"
+//   silent: no output
+//   ndjson: one JSON object per line and event, without progress events
+//   progress: a progress bar on a terminal, then warnings and the summary
+
+export const reporterModeList = ['default', 'silent', 'ndjson', 'progress'];
+
+// lines of the summary event
+// { name, seconds, upToDate } or
+// { name, seconds, installed, reused, removed, scripts, ignoredScripts, collisions,
+//   skippedOptional, peerIssues, overrideIssues, contentStore: null or { path, added, reused } }
+export function formatSummary(summary) {
+  const { name } = summary;
+  if (summary.upToDate) {
+    return [`${name}: node_modules is up to date. done in ${summary.seconds.toFixed(2)} seconds`];
+  }
+  const lines = [
+    `${name}: installed ${summary.installed} node modules in ${summary.seconds.toFixed(2)} seconds. ` +
+    `skipped ${summary.skippedOptional} optional dependencies, ${summary.collisions.length} collisions in node_modules/.bin, ` +
+    `ran ${summary.scripts} lifecycle scripts`,
+  ];
+  if (summary.reused > 0) {
+    lines.push(`${name}: reused ${summary.reused} packages of the last install`);
+  }
+  if (summary.removed > 0) {
+    lines.push(`${name}: removed ${summary.removed} packages of the last install`);
+  }
+  if (summary.ignoredScripts.length > 0) {
+    lines.push(`${name}: ignored lifecycle scripts of ${summary.ignoredScripts.join(', ')}. add them to pnpm.onlyBuiltDependencies in package.json`);
+  }
+  if (summary.collisions.length > 0) {
+    lines.push(`${name}: ${summary.collisions.length} collisions in node_modules/.bin:`);
+    lines.push(...summary.collisions.map(line => `  ${line}`));
+  }
+  if (summary.peerIssues > 0) {
+    lines.push(`${name}: ${summary.peerIssues} issues with peer dependencies`);
+  }
+  if (summary.overrideIssues > 0) {
+    lines.push(`${name}: ${summary.overrideIssues} overrides not in the lockfile`);
+  }
+  if (summary.contentStore) {
+    const { path, added, reused } = summary.contentStore;
+    lines.push(`${name}: content store ${path}: added ${added}, reused ${reused} packages`);
+  }
+  return lines;
+}
+
+// text of an event in the default mode. returns null for events without text
+export function formatEvent(event) {
+  switch (event.type) {
+    case 'info':
+    case 'debug':
+    case 'error':
+      return event.message;
+    case 'warning':
+      return `WARNING: ${event.message}`;
+    case 'fetch':
+      return `fetch: ${event.url} -> ${event.path}`;
+    case 'unpack':
+      return `unpack: ${event.archive} -> ${event.path}`;
+    case 'link':
+      return `symlink: ${event.target} -> ${event.path}`;
+    case 'added':
+      return `+ ${event.name}@${event.version}${event.linkName != event.name ? ` as ${event.linkName}` : ''}`;
+    case 'script':
+      return `> ${event.name} ${event.script}: ${event.command}`;
+    case 'summary':
+      return formatSummary(event).join('\n');
+    default:
+      return null;
+  }
+}
+
+function defaultReporter(stdout, stderr) {
+  return {
+    report(event) {
+      const text = formatEvent(event);
+      if (text == null) return;
+      (event.type == 'error' ? stderr : stdout).write(text + '\n');
+    },
+  };
+}
+
+function ndjsonReporter(stdout) {
+  return {
+    report(event) {
+      if (event.type == 'progress') return;
+      stdout.write(JSON.stringify(event) + '\n');
+    },
+  };
+}
+
+// "[##########----------] 12/24 packages"
+export function formatProgress(done, total, width = 20) {
+  const filled = total > 0 ? Math.round(width * done / total) : 0;
+  return `[${'#'.repeat(filled)}${'-'.repeat(width - filled)}] ${done}/${total} packages`;
+}
+
+// the bar is redrawn in place, so it needs a terminal
+// without a terminal, only warnings, errors and the summary are printed
+function progressReporter(stdout, stderr) {
+  const isTTY = !!stdout.isTTY;
+  let bar = '';
+  const clear = () => {
+    if (bar) stdout.write('\r\x1b[K');
+  };
+  const draw = () => {
+    if (bar) stdout.write(bar);
+  };
+  return {
+    report(event) {
+      if (event.type == 'progress') {
+        if (!isTTY) return;
+        clear();
+        bar = formatProgress(event.done, event.total);
+        draw();
+        return;
+      }
+      if (!['warning', 'error', 'summary'].includes(event.type)) return;
+      clear();
+      if (event.type == 'summary') bar = '';
+      (event.type == 'error' ? stderr : stdout).write(formatEvent(event) + '\n');
+      draw();
+    },
+  };
+}
+
+export function createReporter(mode = 'default', stdout = process.stdout, stderr = process.stderr) {
+  if (mode == 'default') return defaultReporter(stdout, stderr);
+  if (mode == 'silent') return { report() {} };
+  if (mode == 'ndjson') return ndjsonReporter(stdout);
+  if (mode == 'progress') return progressReporter(stdout, stderr);
+  throw new Error(`invalid reporter ${mode}. expected one of: ${reporterModeList.join(', ')}`);
+}
@@ -0,0 +1,177 @@
+// resolvers map the "resolved" value of a lockfile entry to a local tarball or directory
+//
+// a resolver is an object { name, resolve(dep) }
+// resolve returns { type: 'tarball' | 'directory', path }
+// or null when the resolver does not handle this dep.
+// resolve can be async
+//
+// dep: { name, version, resolved, integrity }
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+import crypto from 'crypto';
+
+const isUrl = str => /^[a-z][a-z0-9+.-]*:\/\//i.test(str);
+
+const isHttpUrl = str => /^https?:\/\//i.test(str);
+
+function localSource(filePath) {
+  const stat = fs.statSync(filePath, { throwIfNoEntry: false });
+  if (!stat) return null;
+  return {
+    type: stat.isDirectory() ? 'directory' : 'tarball',
+    path: filePath,
+  };
+}
+
+// file:///abs/x.tgz, file:../x.tgz, /abs/x.tgz, ./x.tgz, ../x.tgz, /nix/store/xxx-x (directory)
+// relative paths are relative to baseDir, which is the project directory
+export function fileResolver(baseDir = '.') {
+  return {
+    name: 'file',
+    resolve(dep) {
+      let filePath = dep.resolved;
+      if (filePath.startsWith('file://')) {
+        filePath = decodeURIComponent(filePath.slice('file://'.length));
+      }
+      else if (filePath.startsWith('file:')) {
+        filePath = filePath.slice('file:'.length);
+      }
+      else if (isUrl(filePath)) {
+        return null;
+      }
+      else if (!(filePath.startsWith('/') || filePath.startsWith('./') || filePath.startsWith('../'))) {
+        return null;
+      }
+      const source = localSource(path.resolve(baseDir, filePath));
+      if (!source) {
+        throw new Error(`${dep.name}@${dep.version}: not found ${filePath}`);
+      }
+      return source;
+    },
+  };
+}
+
+// offline mirror directories, with tarballs in one of these layouts:
+// npm registry: ${mirror}/@scope/name/-/name-1.0.0.tgz
+// flat, like yarn-offline-mirror: ${mirror}/@scope-name-1.0.0.tgz
+// flat, with the filename from the resolved URL: ${mirror}/name-1.0.0.tgz
+export function mirrorResolver(mirrorDirs) {
+  return {
+    name: 'mirror',
+    resolve(dep) {
+      if (!isHttpUrl(dep.resolved)) return null;
+      const baseName = dep.name.replace(/^@[^/]+\//, '');
+      const urlFileName = path.posix.basename(new URL(dep.resolved).pathname);
+      for (const mirror of mirrorDirs) {
+        for (const filePath of [
+          `${mirror}/${dep.name}/-/${baseName}-${dep.version}.tgz`,
+          `${mirror}/${dep.name.replace('/', '-')}-${dep.version}.tgz`,
+          `${mirror}/${urlFileName}`,
+        ]) {
+          if (fs.existsSync(filePath)) return { type: 'tarball', path: filePath };
+        }
+      }
+      return null;
+    },
+  };
+}
+
+// milliseconds without data from the server, then the download fails
+const defaultTimeout = 60 * 1000;
+
+// a failed download removes its partial file
+function download(url, filePath, timeout, numRedirects = 0) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    let file = null;
+    let settled = false;
+    const fail = error => {
+      if (settled) return;
+      settled = true;
+      if (file) file.destroy();
+      fs.rm(filePath, { force: true }, () => reject(new Error(`download failed: ${url}: ${error.message}`)));
+    };
+    const request = client.get(url, response => {
+      const { statusCode, headers } = response;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (numRedirects >= 5) {
+          reject(new Error(`too many redirects: ${url}`));
+          return;
+        }
+        resolve(download(new URL(headers.location, url).href, filePath, timeout, numRedirects + 1));
+        return;
+      }
+      if (statusCode != 200) {
+        response.resume();
+        reject(new Error(`download failed: ${url}: HTTP ${statusCode}`));
+        return;
+      }
+      file = fs.createWriteStream(filePath);
+      response.pipe(file);
+      file.on('finish', () => {
+        if (settled) return;
+        settled = true;
+        resolve(filePath);
+      });
+      file.on('error', error => {
+        request.destroy();
+        fail(error);
+      });
+      response.on('error', fail);
+    });
+    request.setTimeout(timeout, () => request.destroy(new Error(`no data for ${timeout} ms`)));
+    request.on('error', fail);
+  });
+}
+
+// fetch http(s) tarballs to downloadDir
+// opts.registry: replace the registry part of the URL, for example with a local registry
+// "https://registry.npmjs.org/x/-/x-1.0.0.tgz" -> "http://localhost:4873/x/-/x-1.0.0.tgz"
+// opts.timeout: milliseconds without data, default: defaultTimeout
+// the tarball is verified later, so we dont check integrity here
+// every URL is downloaded once, also when it is resolved for multiple deps at the same time,
+// for example packages with peer dependencies, which have one dep per set of peers
+export function httpResolver(opts) {
+  // url -> promise of the file path
+  const downloads = new Map();
+  return {
+    name: 'http',
+    async resolve(dep) {
+      if (!isHttpUrl(dep.resolved)) return null;
+      let url = dep.resolved;
+      if (opts.registry) {
+        const idx = url.indexOf(`/${dep.name}/-/`);
+        if (idx != -1) url = opts.registry.replace(/\/+$/, '') + url.slice(idx);
+      }
+      if (!downloads.has(url)) {
+        fs.mkdirSync(opts.downloadDir, { recursive: true });
+        // unique per URL
+        const urlHash = crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+        const filePath = path.join(opts.downloadDir, `${dep.name.replace('/', '+')}@${dep.version}-${urlHash}.tgz`);
+        opts.onFetch && opts.onFetch(url, filePath);
+        downloads.set(url, download(url, filePath, opts.timeout || defaultTimeout));
+      }
+      return { type: 'tarball', path: await downloads.get(url) };
+    },
+  };
+}
+
+// try all resolvers in order
+export async function resolveDep(resolverList, dep) {
+  if (!dep.resolved) {
+    throw new Error(`${dep.name}@${dep.version}: no resolved value in lockfile`);
+  }
+  for (const resolver of resolverList) {
+    const source = await resolver.resolve(dep);
+    if (source) return source;
+  }
+  throw new Error([
+    `${dep.name}@${dep.version}: cannot resolve ${dep.resolved}`,
+    `tried resolvers: ${resolverList.map(r => r.name).join(', ')}`,
+    (isHttpUrl(dep.resolved) ? `hint: use --offline-mirror or --fetch` : ''),
+  ].filter(Boolean).join('\n'));
+}
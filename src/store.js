@@ -0,0 +1,143 @@
+// content-addressable store, shared by all projects on a machine
+// tarballs are unpacked to the store once, keyed by their integrity hash
+// projects get hardlinks (or reflinks, or copies) of the unpacked files
+//
+// layout:
+// ${storeDir}/v1/${algorithm}/${hexDigest}/  unpacked package
+// ${storeDir}/v1/tmp/                         unfinished unpacks
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+import { algorithmList, parseIntegrity, verifyIntegrity } from './integrity.js';
+import { unpackTar } from './unpackTar.js';
+
+const storeVersion = 'v1';
+
+export const importMethodList = ['auto', 'hardlink', 'clone', 'copy'];
+
+export function defaultStoreDir() {
+  const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local/share');
+  return path.join(dataHome, 'pnpm-install-only/store');
+}
+
+// integrity string -> relative store path like "sha512/0a1b..."
+export function storeKey(integrity) {
+  const hashes = parseIntegrity(integrity);
+  const algorithm = algorithmList.find(a => a in hashes);
+  if (!algorithm) return null;
+  return `${algorithm}/${Buffer.from(hashes[algorithm][0], 'base64').toString('hex')}`;
+}
+
+// add a tarball to the store and return the path of the unpacked package
+// when the store already has the package, the tarball is not read
+// opts.integrity: SRI string from the lockfile
+// opts.skipIntegrity: dont verify. the store key is computed from the tarball
+// opts.name: package name for error messages
+// opts.onUnpack: called before a tarball is unpacked
+export async function storePackage(storeDir, archive, opts = {}) {
+  const baseDir = path.join(storeDir, storeVersion);
+  let key = (!opts.skipIntegrity && opts.integrity) ? storeKey(opts.integrity) : null;
+  if (key && fs.existsSync(path.join(baseDir, key))) {
+    return { storePath: path.join(baseDir, key), added: false };
+  }
+
+  const data = await fs.promises.readFile(archive);
+  if (!opts.skipIntegrity && opts.integrity) {
+    verifyIntegrity(data, opts.integrity, opts.name || archive);
+  }
+  if (!key) {
+    // unverified tarballs are keyed by their actual hash
+    key = `sha512/${crypto.createHash('sha512').update(data).digest('hex')}`;
+  }
+  const storePath = path.join(baseDir, key);
+  if (fs.existsSync(storePath)) {
+    return { storePath, added: false };
+  }
+
+  // unpack to a temporary directory, then rename
+  // so other processes never see a half-unpacked package
+  const tmpDir = path.join(baseDir, 'tmp');
+  await fs.promises.mkdir(tmpDir, { recursive: true });
+  const tmpPath = await fs.promises.mkdtemp(path.join(tmpDir, `${key.replace('/', '-').slice(0, 20)}-`));
+  try {
+    opts.onUnpack && opts.onUnpack(archive, storePath);
+    // first component is always "package"
+    await unpackTar(archive, tmpPath, { strip: 1, data });
+    await fs.promises.mkdir(path.dirname(storePath), { recursive: true });
+    try {
+      await fs.promises.rename(tmpPath, storePath);
+    }
+    catch (error) {
+      // another process was faster
+      if (error.code != 'ENOTEMPTY' && error.code != 'EEXIST') throw error;
+      return { storePath, added: false };
+    }
+  }
+  finally {
+    await fs.promises.rm(tmpPath, { recursive: true, force: true });
+  }
+  return { storePath, added: true };
+}
+
+async function importFile(src, dst, method) {
+  if (method == 'auto' || method == 'hardlink') {
+    try {
+      await fs.promises.link(src, dst);
+      return;
+    }
+    catch (error) {
+      // EXDEV: store and project are on different filesystems
+      if (method == 'hardlink' || (error.code != 'EXDEV' && error.code != 'EPERM' && error.code != 'EMLINK')) {
+        throw error;
+      }
+    }
+  }
+  // COPYFILE_FICLONE falls back to copy when reflinks are not supported
+  await fs.promises.copyFile(src, dst, (method == 'copy') ? 0 : fs.constants.COPYFILE_FICLONE);
+}
+
+// link all files of a store package to the target directory
+export async function importPackage(storePath, to, method = 'auto') {
+  if (!importMethodList.includes(method)) {
+    throw new Error(`invalid package import method ${method}. expected one of: ${importMethodList.join(', ')}`);
+  }
+  await fs.promises.mkdir(to, { recursive: true });
+  for (const entry of await fs.promises.readdir(storePath, { withFileTypes: true })) {
+    const src = path.join(storePath, entry.name);
+    const dst = path.join(to, entry.name);
+    if (entry.isDirectory()) {
+      await importPackage(src, dst, method);
+      continue;
+    }
+    await fs.promises.rm(dst, { force: true });
+    if (entry.isSymbolicLink()) {
+      // copyFile would follow the link
+      await fs.promises.symlink(await fs.promises.readlink(src), dst);
+      continue;
+    }
+    await importFile(src, dst, method);
+  }
+}
+
+// replace hardlinked files in dir with copies, so writes never reach the store
+// lifecycle scripts can change the files of their package, for example a postinstall which patches a file
+// copies are reflinks when the filesystem supports them
+export async function breakHardlinks(dir) {
+  if ((await fs.promises.lstat(dir)).isSymbolicLink()) return;
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const filePath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      await breakHardlinks(filePath);
+      continue;
+    }
+    if (!entry.isFile() || (await fs.promises.stat(filePath)).nlink < 2) continue;
+    // copyFile keeps the file mode
+    // the random name and COPYFILE_EXCL never overwrite a file of the package
+    const tmpPath = `${filePath}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+    await fs.promises.copyFile(filePath, tmpPath, fs.constants.COPYFILE_FICLONE | fs.constants.COPYFILE_EXCL);
+    await fs.promises.rename(tmpPath, filePath);
+  }
+}
@@ -0,0 +1,42 @@
+// tarballs for the tests, see test_unpack_tar.js and test_install.js
+
+import zlib from "zlib";
+import crypto from "crypto";
+
+// create a ustar header block + data blocks
+export function tarEntry(name, content = '', { type = '0', mode = 0o644 } = {}) {
+    const data = Buffer.from(content)
+    const header = Buffer.alloc(512)
+    header.write(name, 0, 100)
+    header.write(mode.toString(8).padStart(7, '0'), 100)
+    header.write('0000000', 108) // uid
+    header.write('0000000', 116) // gid
+    header.write(data.length.toString(8).padStart(11, '0'), 124)
+    header.write('00000000000', 136) // mtime
+    header.write(' '.repeat(8), 148)
+    header.write(type, 156)
+    header.write('ustar\x0000', 257)
+    let sum = 0
+    for (const byte of header) sum += byte
+    header.write(sum.toString(8).padStart(6, '0') + '\0 ', 148)
+    const padding = Buffer.alloc(Math.ceil(data.length / 512) * 512 - data.length)
+    return Buffer.concat([header, data, padding])
+}
+
+export function tgz(...entries) {
+    return zlib.gzipSync(Buffer.concat([...entries, Buffer.alloc(1024)]))
+}
+
+// npm package: package/package.json and files, like "npm pack"
+// files: { "index.js": "..." }
+export function packageTarball(pkg, files = {}) {
+    return tgz(
+        tarEntry('package/package.json', JSON.stringify(pkg)),
+        ...Object.entries(files).map(([name, content]) => tarEntry(`package/${name}`, content)),
+    )
+}
+
+// integrity value of a tarball, like in package-lock.json
+export function integrityOf(data) {
+    return 'sha512-' + crypto.createHash('sha512').update(data).digest('base64')
+}
@@ -0,0 +1,54 @@
+import assert from "assert";
+import { test } from "node:test";
+
+import { binEntries, parseBinPreferences, chooseBinLinks, formatBinCollision } from "./binLinks.js";
+
+const candidate = (pkgName, binPath) => ({
+    pkgName,
+    nameVersion: `${pkgName}@1.0.0`,
+    linkTarget: `../.pnpm/${pkgName.replace('/', '+')}@1.0.0/node_modules/${pkgName}/${binPath}`,
+})
+
+test('bin entries', () => {
+    assert.deepEqual(binEntries({ bin: 'cli.js' }, 'foo'), [['foo', 'cli.js']])
+    assert.deepEqual(binEntries({ bin: 'cli.js' }, '@scope/foo'), [['foo', 'cli.js']])
+    assert.deepEqual(binEntries({ bin: { a: 'a.js', b: 'b.js' } }, 'foo'), [['a', 'a.js'], ['b', 'b.js']])
+    assert.deepEqual(binEntries({}, 'foo'), [])
+})
+
+test('parse --prefer-bin', () => {
+    assert.deepEqual(parseBinPreferences(['tsc=typescript', 'x=@scope/x']), { tsc: 'typescript', x: '@scope/x' })
+    assert.throws(() => parseBinPreferences(['tsc']), /invalid --prefer-bin tsc/)
+    assert.throws(() => parseBinPreferences(['tsc=']), /invalid --prefer-bin tsc=/)
+})
+
+test('no collision', () => {
+    const { links, collisions } = chooseBinLinks(new Map([['a', [candidate('a', 'a.js')]]]))
+    assert.equal(links.get('a').pkgName, 'a')
+    assert.deepEqual(collisions, [])
+})
+
+test('unresolved collision: first package by name wins', () => {
+    const candidates = new Map([['tsc', [candidate('typescript', 'bin/tsc'), candidate('tsc', 'bin/tsc')]]])
+    const { links, collisions } = chooseBinLinks(candidates)
+    assert.equal(links.get('tsc').pkgName, 'tsc')
+    assert.equal(collisions.length, 1)
+    assert.equal(collisions[0].resolved, false)
+    assert.equal(formatBinCollision(collisions[0]), 'collision on node_modules/.bin/tsc: preferring tsc@1.0.0 over typescript@1.0.0. use "binPreferences" in package.json or --prefer-bin tsc=<package> to change this')
+})
+
+test('collision resolved by preference', () => {
+    const candidates = new Map([['tsc', [candidate('tsc', 'bin/tsc'), candidate('typescript', 'bin/tsc')]]])
+    const { links, collisions } = chooseBinLinks(candidates, { tsc: 'typescript' })
+    assert.equal(links.get('tsc').pkgName, 'typescript')
+    assert.equal(collisions[0].resolved, true)
+    assert.match(formatBinCollision(collisions[0]), /preferring typescript@1.0.0 over tsc@1.0.0. from binPreferences$/)
+})
+
+test('preference for a package without the binary', () => {
+    const candidates = new Map([['tsc', [candidate('tsc', 'bin/tsc'), candidate('typescript', 'bin/tsc')]]])
+    const { links, collisions } = chooseBinLinks(candidates, { tsc: 'other' })
+    assert.equal(links.get('tsc').pkgName, 'tsc')
+    assert.equal(collisions[0].resolved, false)
+    assert.match(formatBinCollision(collisions[0]), /preferred package other has no binary tsc$/)
+})
@@ -0,0 +1,85 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import assert from "assert";
+import { test } from "node:test";
+import { execFileSync, spawnSync } from "child_process";
+
+import { parseShebang, binShimScript } from "./binShim.js";
+
+const linkTarget = '../.pnpm/foo@1.0.0/node_modules/foo/bin/foo.js'
+
+test('parse shebang', () => {
+    assert.deepEqual(parseShebang('#!/bin/sh\necho'), ['/bin/sh', ''])
+    assert.deepEqual(parseShebang('#! /usr/bin/bash a b c'), ['/usr/bin/bash', ' a b c'])
+    assert.deepEqual(parseShebang('#!/usr/bin/env node'), ['node', ''])
+    assert.deepEqual(parseShebang('#! /usr/bin/env -S node --no-warnings\n'), ['node', ' --no-warnings'])
+    assert.deepEqual(parseShebang('#! /usr/bin/env -Sbash a b c'), ['bash', ' a b c'])
+    assert.equal(parseShebang('console.log(1)'), null)
+})
+
+test('portable: look up the interpreter at run time', () => {
+    const script = binShimScript({ linkTarget, storeDir: '.pnpm', shebang: ['node', ''] })
+    assert.ok(script.includes('n="$p/foo@1.0.0/node_modules"'))
+    assert.ok(script.includes('[ -x "$b/node" ] &&\nexec "$b/node" "$n/foo/bin/foo.js" "$@"'))
+    assert.ok(script.includes('exec node "$n/foo/bin/foo.js" "$@"'))
+    assert.ok(!/exec "\//.test(script))
+})
+
+test('absolute: use the interpreter path', () => {
+    const script = binShimScript({ linkTarget, storeDir: '.pnpm', shebang: ['node', ' --no-warnings'], interpreterPath: '/nix/store/x-nodejs/bin/node' })
+    assert.ok(script.includes('exec "/nix/store/x-nodejs/bin/node" --no-warnings "$n/foo/bin/foo.js" "$@"'))
+    assert.ok(!script.includes('command -v'))
+})
+
+test('nested: wrapper in the virtual store of the parent package', () => {
+    const script = binShimScript({ linkTarget: '../../../foo@1.0.0/node_modules/foo/bin/foo.js', storeDir: '.pnpm', shebang: ['node', ''], nested: true })
+    assert.ok(script.includes('p="$(dirname "$(dirname "$(dirname "$b")")")"'))
+    assert.ok(script.includes('n="$p/foo@1.0.0/node_modules"'))
+    assert.ok(script.includes('exec node "$n/foo/bin/foo.js" "$@"'))
+})
+
+test('workspace: wrapper in the node_modules of a workspace', () => {
+    const script = binShimScript({ linkTarget: '../../../../node_modules/.pnpm/foo@1.0.0/node_modules/foo/bin/foo.js', storeDir: '.pnpm', shebang: ['node', ''], workspaceStorePath: '../../../../node_modules/.pnpm' })
+    assert.ok(script.includes('p="$(readlink -f "$b/../../../../node_modules/.pnpm")"'))
+    assert.ok(script.includes('n="$p/foo@1.0.0/node_modules"'))
+    assert.ok(script.includes('exec node "$n/foo/bin/foo.js" "$@"'))
+})
+
+test('absolute shebang and no shebang', () => {
+    assert.ok(binShimScript({ linkTarget, storeDir: '.pnpm', shebang: ['/bin/sh', ' -e'] }).includes('exec /bin/sh -e "$n/foo/bin/foo.js" "$@"'))
+    assert.ok(binShimScript({ linkTarget, storeDir: '.pnpm', shebang: null }).includes('exec "$n/foo/bin/foo.js" "$@"'))
+})
+
+test('run the wrapper script', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'test_bin_shim-'))
+    try {
+        const pkgDir = `${tmp}/node_modules/.pnpm/foo@1.0.0/node_modules/foo/bin`
+        fs.mkdirSync(pkgDir, { recursive: true })
+        fs.mkdirSync(`${tmp}/node_modules/.bin`)
+        fs.writeFileSync(`${pkgDir}/foo.js`, 'console.log("foo", process.argv[2])\n')
+        const binPath = `${tmp}/node_modules/.bin/foo`
+        fs.writeFileSync(binPath, binShimScript({ linkTarget, storeDir: '.pnpm', shebang: ['node', ''] }), { mode: 0o755 })
+        // node is found in PATH
+        const nodeDir = path.dirname(process.execPath)
+        assert.equal(execFileSync(binPath, ['x'], { env: { PATH: `${nodeDir}:/usr/bin:/bin` }, encoding: 'utf8' }), 'foo x\n')
+        // nested in the virtual store of bar
+        const nestedBinPath = `${tmp}/node_modules/.pnpm/bar@1.0.0/node_modules/.bin/foo`
+        fs.mkdirSync(path.dirname(nestedBinPath), { recursive: true })
+        fs.writeFileSync(nestedBinPath, binShimScript({ linkTarget: '../../../foo@1.0.0/node_modules/foo/bin/foo.js', storeDir: '.pnpm', shebang: ['node', ''], nested: true }), { mode: 0o755 })
+        assert.equal(execFileSync(nestedBinPath, ['y'], { env: { PATH: `${nodeDir}:/usr/bin:/bin` }, encoding: 'utf8' }), 'foo y\n')
+        // in the node_modules of a workspace
+        const wsBinPath = `${tmp}/packages/bar/node_modules/.bin/foo`
+        fs.mkdirSync(path.dirname(wsBinPath), { recursive: true })
+        fs.writeFileSync(wsBinPath, binShimScript({ linkTarget: '../../../../node_modules/.pnpm/foo@1.0.0/node_modules/foo/bin/foo.js', storeDir: '.pnpm', shebang: ['node', ''], workspaceStorePath: '../../../../node_modules/.pnpm' }), { mode: 0o755 })
+        assert.equal(execFileSync(wsBinPath, ['z'], { env: { PATH: `${nodeDir}:/usr/bin:/bin` }, encoding: 'utf8' }), 'foo z\n')
+        // missing interpreter
+        fs.writeFileSync(binPath, binShimScript({ linkTarget, storeDir: '.pnpm', shebang: ['missing-interpreter', ''] }), { mode: 0o755 })
+        const result = spawnSync(binPath, [], { encoding: 'utf8' })
+        assert.equal(result.status, 127)
+        assert.match(result.stderr, /interpreter not found in PATH: missing-interpreter/)
+    }
+    finally {
+        fs.rmSync(tmp, { recursive: true, force: true })
+    }
+})
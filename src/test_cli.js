@@ -0,0 +1,66 @@
+import path from "path";
+import assert from "assert";
+import { execFileSync } from "child_process";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+
+import { parseArgs } from "./cli.js";
+import { defaultStoreDir } from "./store.js";
+
+const cliPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'cli.js')
+
+test('defaults', () => {
+    const options = parseArgs([])
+    assert.equal(options.cwd, '.')
+    assert.equal(options.virtualStoreDir, '.pnpm')
+    assert.equal(options.contentStore, defaultStoreDir())
+    assert.equal(options.ignoreScripts, true)
+    assert.equal(options.lockfileCheck, true)
+    assert.deepEqual(options.offlineMirror, [])
+    assert.deepEqual(options.binPreferences, {})
+})
+
+test('help', () => {
+    assert.equal(parseArgs(['-h']), null)
+    assert.equal(parseArgs(['--help', '--prod']), null)
+})
+
+test('content store', () => {
+    assert.equal(parseArgs(['--no-content-store']).contentStore, false)
+    assert.equal(parseArgs(['--content-store', 'store']).contentStore, 'store')
+})
+
+test('virtual store', () => {
+    assert.equal(parseArgs(['--virtual-store-dir', '.vs']).virtualStoreDir, '.vs')
+    // "--store-dir" of pnpm is the content store
+    assert.throws(() => parseArgs(['--store-dir', 'store']), /unknown option --store-dir/)
+})
+
+test('lists', () => {
+    const options = parseArgs(['--offline-mirror', 'a', '--offline-mirror', 'b', '--prefer-bin', 'x=foo', '--prefer-bin', 'y=@s/bar'])
+    assert.deepEqual(options.offlineMirror, ['a', 'b'])
+    assert.deepEqual(options.binPreferences, { x: 'foo', y: '@s/bar' })
+    assert.deepEqual(parseArgs(['--offline-mirror', 'a']).offlineMirror, ['a'])
+    assert.throws(() => parseArgs(['--prefer-bin', 'x']), /invalid --prefer-bin x/)
+})
+
+test('scripts', () => {
+    assert.equal(parseArgs(['--run-scripts']).ignoreScripts, false)
+    assert.equal(parseArgs(['--run-scripts', '--ignore-scripts']).ignoreScripts, true)
+})
+
+test('prod and dev', () => {
+    assert.equal(parseArgs(['--production']).prod, true)
+    // the conflict is checked by install
+    const options = parseArgs(['--prod', '--dev'])
+    assert.deepEqual([options.prod, options.dev], [true, true])
+    assert.throws(() => execFileSync(process.execPath, [cliPath, '--prod', '--dev'], { stdio: 'pipe' }), error => {
+        assert.equal(error.status, 1)
+        assert.equal(error.stderr.toString(), 'error: prod and dev can not be used together\n')
+        return true
+    })
+})
+
+test('numbers', () => {
+    assert.equal(parseArgs(['--concurrency', '2']).concurrency, 2)
+})
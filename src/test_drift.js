@@ -0,0 +1,80 @@
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+
+import { checkDrift, formatDrift } from "./drift.js";
+
+const testMaterials = path.join(path.dirname(fileURLToPath(import.meta.url)), 'test_materials')
+
+const read = name => fs.readFileSync(`${testMaterials}/${name}`, 'utf8')
+
+// pnpm and yarn fixtures have the same package.json
+const pkg = JSON.parse(read('pnpm/package.json'))
+const npmPkg = JSON.parse(read('npm/package.json'))
+
+const lockfiles = [
+    [pkg, 'pnpm', 'pnpm/pnpm-lock-v9.yaml'],
+    [pkg, 'pnpm', 'pnpm/pnpm-lock-v6.yaml'],
+    [pkg, 'yarn', 'yarn/yarn-v1.lock'],
+    [pkg, 'yarn', 'yarn/yarn-berry.lock'],
+    [npmPkg, 'npm', 'npm/package-lock-v1.json'],
+    [npmPkg, 'npm', 'npm/package-lock-v3.json'],
+]
+
+// react: range changed, foo: added, proxy-from-env: removed
+function drifted(pkg) {
+    const result = { ...pkg, dependencies: { ...pkg.dependencies, react: '^18.0.0', foo: '1.0.0' } }
+    delete result.dependencies['proxy-from-env']
+    return result
+}
+
+for (const [pkg, format, name] of lockfiles) {
+    test(`${name}: in sync`, () => {
+        assert.deepEqual(checkDrift(pkg, format, read(name)), [])
+    })
+}
+
+test('pnpm: missing, extra and range mismatch', () => {
+    assert.deepEqual(checkDrift(drifted(pkg), 'pnpm', read('pnpm/pnpm-lock-v9.yaml')), [
+        { name: 'react', depType: 'dependencies', packageRange: '^18.0.0', lockRange: '18.2.0', problem: 'range' },
+        { name: 'foo', depType: 'dependencies', packageRange: '1.0.0', lockRange: null, problem: 'missing' },
+        { name: 'proxy-from-env', depType: null, packageRange: null, lockRange: '^1.1.0', problem: 'extra' },
+    ])
+})
+
+test('yarn berry: ranges have the npm: protocol', () => {
+    const drift = checkDrift(drifted(pkg), 'yarn', read('yarn/yarn-berry.lock'))
+    assert.deepEqual(drift.map(d => [d.name, d.problem, d.lockRange]), [
+        ['react', 'range', 'npm:18.2.0'],
+        ['foo', 'missing', null],
+        ['proxy-from-env', 'extra', 'npm:^1.1.0'],
+    ])
+})
+
+test('yarn classic: no root entry, so no extra packages', () => {
+    const drift = checkDrift(drifted(pkg), 'yarn', read('yarn/yarn-v1.lock'))
+    assert.deepEqual(drift.map(d => [d.name, d.problem]), [['react', 'range'], ['foo', 'missing']])
+})
+
+test('npm v1: only missing packages', () => {
+    const changed = { ...npmPkg, dependencies: { ...npmPkg.dependencies, 'strip-ansi': '^7.0.0', foo: '1.0.0' } }
+    const drift = checkDrift(changed, 'npm', read('npm/package-lock-v1.json'))
+    assert.deepEqual(drift.map(d => [d.name, d.problem]), [['foo', 'missing']])
+})
+
+test('npm v3: moving a package to devDependencies is no drift', () => {
+    const moved = { ...npmPkg, dependencies: { 'string-width': '4.2.3' }, devDependencies: { ...npmPkg.devDependencies, 'strip-ansi': '7.1.0' } }
+    assert.deepEqual(checkDrift(moved, 'npm', read('npm/package-lock-v3.json')), [])
+})
+
+test('format table', () => {
+    const table = formatDrift(checkDrift(drifted(pkg), 'pnpm', read('pnpm/pnpm-lock-v9.yaml')))
+    assert.equal(table, [
+        'package         type          package.json  lockfile  problem',
+        'react           dependencies  ^18.0.0       18.2.0    range mismatch',
+        'foo             dependencies  1.0.0         -         missing in lockfile',
+        'proxy-from-env  -             -             ^1.1.0    not in package.json',
+    ].join('\n'))
+})
@@ -0,0 +1,449 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import assert from "assert";
+import { execFileSync } from "child_process";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+
+import { install } from "./index.js";
+import { packageTarball, integrityOf } from "./testFixtures.js";
+
+const testMaterials = path.join(path.dirname(fileURLToPath(import.meta.url)), 'test_materials')
+
+// lockfile of the test project in src/test_materials
+const pkgLock = {
+    name: 'pnpm-install-test',
+    version: '1.0.0',
+    lockfileVersion: 3,
+    requires: true,
+    packages: {
+        '': {
+            name: 'pnpm-install-test',
+            version: '1.0.0',
+            dependencies: { 'proxy-from-env': '^1.1.0' },
+        },
+        'node_modules/proxy-from-env': {
+            version: '1.1.0',
+            resolved: 'https://registry.npmjs.org/proxy-from-env/-/proxy-from-env-1.1.0.tgz',
+            integrity: 'sha512-D+zkORCbA9f1tdWRK0RaCR3GPv50cMxcrz4X8k5LTSUD1Dkw47mKJEZQNunItRTkWwgtaUSo1RVFRIG9ZXiFYg==',
+            license: 'MIT',
+        },
+    },
+}
+
+// copy of the test project in src/test_materials
+function makeProject() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_install-'))
+    for (const name of ['package.json', 'proxy-from-env-1.1.0.tgz']) {
+        fs.copyFileSync(`${testMaterials}/${name}`, `${dir}/${name}`)
+    }
+    fs.writeFileSync(`${dir}/package-lock.json`, JSON.stringify(pkgLock, null, 2))
+    return dir
+}
+
+// project with an npm lockfile. the tarballs of the packages are written to the project directory
+// and found with offlineMirror: '.'
+// packages: { "node_modules/a": { version, dependencies, scripts, files: { "index.js": "..." } } }
+// links and workspace directories are written to the lockfile as they are
+function writeProject(dir, pkg, packages) {
+    const lockPackages = { '': pkg }
+    for (const [location, entry] of Object.entries(packages)) {
+        if (!location.includes('node_modules/') || entry.link) {
+            lockPackages[location] = entry
+            continue
+        }
+        const { files, scripts, ...meta } = entry
+        const name = location.split('node_modules/').pop()
+        const data = packageTarball({ name, ...meta, scripts }, files)
+        const fileName = `${name.replace('/', '-')}-${meta.version}.tgz`
+        fs.writeFileSync(`${dir}/${fileName}`, data)
+        lockPackages[location] = { ...meta, resolved: `https://registry.npmjs.org/${name}/-/${fileName}`, integrity: integrityOf(data) }
+        if (scripts) lockPackages[location].hasInstallScript = true
+    }
+    fs.writeFileSync(`${dir}/package.json`, JSON.stringify(pkg, null, 2))
+    fs.writeFileSync(`${dir}/package-lock.json`, JSON.stringify({ lockfileVersion: 3, requires: true, packages: lockPackages }, null, 2))
+}
+
+const readState = dir => JSON.parse(fs.readFileSync(`${dir}/node_modules/.install-state.json`, 'utf8'))
+
+// no leftovers of the atomic install
+const assertNoLeftovers = dir => {
+    assert.ok(!fs.existsSync(`${dir}/.node_modules-staging`))
+    assert.ok(!fs.existsSync(`${dir}/.node_modules-previous`))
+}
+
+// collect the events of install
+const silent = () => {
+    const events = []
+    return { events, report: event => events.push(event) }
+}
+
+await test('install returns packages and timings', async () => {
+    const dir = makeProject()
+    const cwd = process.cwd()
+    try {
+        const reporter = silent()
+        const result = await install({ cwd: dir, offlineMirror: '.', contentStore: false, reporter })
+        assert.equal(process.cwd(), cwd)
+        assert.equal(result.upToDate, false)
+        assert.deepEqual(result.packages.map(p => `${p.name}@${p.version}`), ['proxy-from-env@1.1.0'])
+        assert.ok(fs.existsSync(`${dir}/${result.packages[0].path}/package.json`))
+        assert.ok(result.timings.total >= result.timings.link)
+        const summary = reporter.events.find(e => e.type == 'summary')
+        assert.equal(summary.installed, 1)
+        assert.ok(reporter.events.some(e => e.type == 'unpack' && e.name == 'proxy-from-env@1.1.0'))
+        // paths in the new tree, not in the stage directory
+        const links = reporter.events.filter(e => e.type == 'link')
+        assert.deepEqual(links.map(e => e.path), ['node_modules/proxy-from-env'])
+        assert.equal(reporter.events.find(e => e.type == 'unpack').path, 'node_modules/.pnpm/proxy-from-env@1.1.0/node_modules/proxy-from-env')
+
+        // same inputs
+        const second = await install({ cwd: dir, offlineMirror: '.', contentStore: false, reporter })
+        assert.equal(second.upToDate, true)
+        assert.deepEqual(second.packages, result.packages)
+        assert.equal(reporter.events.filter(e => e.type == 'summary')[1].upToDate, true)
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+    }
+})
+
+await test('unknown options are rejected', async () => {
+    // "store-dir" of pnpm is the content store, so the virtual store has its own name
+    await assert.rejects(install({ cwd: testMaterials, storeDir: '.pnpm', reporter: silent() }), /unknown option storeDir/)
+})
+
+await test('skip integrity is a warning', async () => {
+    const dir = makeProject()
+    try {
+        const reporter = silent()
+        const result = await install({ cwd: dir, offlineMirror: '.', contentStore: false, skipIntegrity: true, reporter })
+        assert.match(result.warnings[0], /^--skip-integrity is set\n/)
+        assert.ok(reporter.events.some(e => e.type == 'warning' && e.message == result.warnings[0]))
+        assert.ok(!reporter.events.some(e => e.type == 'info' && /skip-integrity/.test(e.message)))
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+    }
+})
+
+await test('one warning for a lockfile without integrity values', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_install-'))
+    try {
+        const pkg = { name: 'root', version: '1.0.0', dependencies: { a: '1.0.0', b: '1.0.0' } }
+        writeProject(dir, pkg, {
+            'node_modules/a': { version: '1.0.0' },
+            'node_modules/b': { version: '1.0.0' },
+        })
+        fs.rmSync(`${dir}/package-lock.json`)
+        // yarn berry. the checksums are hashes of the yarn cache, not of the tarballs
+        fs.writeFileSync(`${dir}/yarn.lock`, [
+            '__metadata:',
+            '  version: 8',
+            '',
+            ...['a', 'b'].flatMap(name => [
+                `"${name}@npm:1.0.0":`,
+                '  version: 1.0.0',
+                `  resolution: "${name}@npm:1.0.0"`,
+                '  checksum: 10c0/0000',
+                '',
+            ]),
+            '"root@workspace:.":',
+            '  version: 0.0.0-use.local',
+            '  resolution: "root@workspace:."',
+            '  dependencies:',
+            '    a: "npm:1.0.0"',
+            '    b: "npm:1.0.0"',
+            '',
+        ].join('\n'))
+        const result = await install({ cwd: dir, offlineMirror: '.', contentStore: false, reporter: silent() })
+        assert.deepEqual(result.warnings, ['yarn.lock has no integrity values of tarballs. not verifying 2 packages'])
+        assert.ok(fs.existsSync(`${dir}/node_modules/b/package.json`))
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+    }
+})
+
+await test('install rejects a lockfile out of sync', async () => {
+    const dir = makeProject()
+    try {
+        const pkg = JSON.parse(fs.readFileSync(`${dir}/package.json`, 'utf8'))
+        pkg.dependencies = { ...pkg.dependencies, foo: '1.0.0' }
+        fs.writeFileSync(`${dir}/package.json`, JSON.stringify(pkg))
+        const reporter = silent()
+        await assert.rejects(install({ cwd: dir, offlineMirror: '.', contentStore: false, reporter }), { code: 'ELOCKFILEDRIFT' })
+        assert.equal(reporter.events.filter(e => e.type == 'error').length, 1)
+        assert.ok(!fs.existsSync(`${dir}/node_modules`))
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+    }
+})
+
+await test('concurrent installs in different directories', async () => {
+    const dirs = [makeProject(), makeProject()]
+    const cwd = process.cwd()
+    try {
+        const results = await Promise.all(dirs.map(dir => install({ cwd: dir, offlineMirror: '.', contentStore: false, reporter: silent() })))
+        assert.equal(process.cwd(), cwd)
+        for (const [i, dir] of dirs.entries()) {
+            assert.equal(results[i].upToDate, false)
+            assert.ok(fs.existsSync(`${dir}/node_modules/proxy-from-env/package.json`))
+            assert.ok(!fs.existsSync(`${dir}/.node_modules-staging`))
+        }
+    }
+    finally {
+        for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true })
+    }
+})
+
+await test('failed postinstall restores the old node_modules', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_install-'))
+    try {
+        const options = { cwd: dir, offlineMirror: '.', contentStore: false, ignoreScripts: false, reporter: silent() }
+        writeProject(dir, { name: 'root', version: '1.0.0', dependencies: { a: '1.0.0' } }, {
+            'node_modules/a': { version: '1.0.0' },
+        })
+        await install(options)
+        const oldState = readState(dir)
+
+        writeProject(dir, { name: 'root', version: '1.0.0', dependencies: { a: '1.0.0', b: '1.0.0' } }, {
+            'node_modules/a': { version: '1.0.0' },
+            'node_modules/b': { version: '1.0.0', scripts: { postinstall: 'exit 1' } },
+        })
+        await assert.rejects(install(options), /postinstall: exit code 1/)
+        assert.ok(fs.existsSync(`${dir}/node_modules/a/package.json`))
+        assert.ok(!fs.existsSync(`${dir}/node_modules/b`))
+        assert.deepEqual(readState(dir), oldState)
+        assertNoLeftovers(dir)
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+    }
+})
+
+await test('corrupt tarball keeps the old node_modules', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_install-'))
+    try {
+        const options = { cwd: dir, offlineMirror: '.', contentStore: false, reporter: silent() }
+        writeProject(dir, { name: 'root', version: '1.0.0', dependencies: { a: '1.0.0' } }, {
+            'node_modules/a': { version: '1.0.0' },
+        })
+        await install(options)
+        const oldState = readState(dir)
+
+        writeProject(dir, { name: 'root', version: '1.0.0', dependencies: { a: '2.0.0' } }, {
+            'node_modules/a': { version: '2.0.0' },
+        })
+        const tarball = `${dir}/a-2.0.0.tgz`
+        fs.writeFileSync(tarball, fs.readFileSync(tarball).subarray(0, 20))
+        await assert.rejects(install(options), { code: 'EINTEGRITY' })
+        assert.equal(JSON.parse(fs.readFileSync(`${dir}/node_modules/a/package.json`, 'utf8')).version, '1.0.0')
+        assert.deepEqual(readState(dir), oldState)
+        assertNoLeftovers(dir)
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+    }
+})
+
+await test('install killed during scripts is restored and installed again', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_install-'))
+    try {
+        const options = { cwd: dir, offlineMirror: '.', contentStore: false, ignoreScripts: false, reporter: silent() }
+        writeProject(dir, { name: 'root', version: '1.0.0', dependencies: { a: '1.0.0' } }, {
+            'node_modules/a': { version: '1.0.0' },
+        })
+        await install(options)
+        fs.cpSync(`${dir}/node_modules`, `${dir}/old_node_modules`, { recursive: true, verbatimSymlinks: true })
+
+        writeProject(dir, { name: 'root', version: '1.0.0', dependencies: { a: '1.0.0', b: '1.0.0' } }, {
+            'node_modules/a': { version: '1.0.0' },
+            'node_modules/b': { version: '1.0.0', scripts: { postinstall: 'echo built > built.txt' } },
+        })
+        await install(options)
+        const builtPath = `${dir}/node_modules/b/built.txt`
+        assert.ok(fs.existsSync(builtPath))
+
+        // the state of the swapped tree before the scripts ran
+        const state = readState(dir)
+        fs.writeFileSync(`${dir}/node_modules/.install-state.json`, JSON.stringify({ ...state, pending: true }))
+        fs.rmSync(builtPath)
+        fs.renameSync(`${dir}/old_node_modules`, `${dir}/.node_modules-previous`)
+
+        const reporter = silent()
+        const result = await install({ ...options, reporter })
+        assert.ok(reporter.events.some(e => e.type == 'info' && /^restore /.test(e.message)))
+        assert.equal(result.upToDate, false)
+        assert.ok(fs.existsSync(builtPath))
+        assert.equal(readState(dir).pending, undefined)
+        assertNoLeftovers(dir)
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+    }
+})
+
+// like esbuild: the postinstall replaces the node script bin/tool with a native binary
+await test('postinstall that replaces its binary', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_install-'))
+    try {
+        const postinstall = `printf '#!/bin/sh\\necho native\\n' > bin/tool`
+        writeProject(dir, { name: 'root', version: '1.0.0', dependencies: { app: '1.0.0', tool: '1.0.0' } }, {
+            'node_modules/app': { version: '1.0.0', dependencies: { tool: '1.0.0' }, scripts: { postinstall: 'tool > out.txt' } },
+            'node_modules/tool': { version: '1.0.0', bin: { tool: 'bin/tool' }, scripts: { postinstall }, files: { 'bin/tool': '#!/usr/bin/env node\nconsole.log("js")\n' } },
+        })
+        await install({ cwd: dir, offlineMirror: '.', contentStore: false, ignoreScripts: false, reporter: silent() })
+        assert.equal(execFileSync(`${dir}/node_modules/.bin/tool`, { encoding: 'utf8' }), 'native\n')
+        // the scripts of app run after the scripts of tool, with the new wrapper in its .bin
+        assert.equal(fs.readFileSync(`${dir}/node_modules/app/out.txt`, 'utf8'), 'native\n')
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+    }
+})
+
+await test('scripts never change the content store', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_install-'))
+    try {
+        const contentStore = `${dir}/store`
+        writeProject(dir, { name: 'root', version: '1.0.0', dependencies: { a: '1.0.0' } }, {
+            'node_modules/a': { version: '1.0.0', scripts: { postinstall: 'echo patched >> index.js' }, files: { 'index.js': 'original\n' } },
+        })
+        const reporter = silent()
+        await install({ cwd: dir, offlineMirror: '.', contentStore, packageImportMethod: 'hardlink', ignoreScripts: false, reporter })
+        assert.equal(fs.readFileSync(`${dir}/node_modules/a/index.js`, 'utf8'), 'original\npatched\n')
+        const storePath = reporter.events.find(e => e.type == 'unpack').path
+        assert.equal(fs.readFileSync(`${storePath}/index.js`, 'utf8'), 'original\n')
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+    }
+})
+
+await test('summary counts unpacked and reused packages', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_install-'))
+    try {
+        const options = { cwd: dir, offlineMirror: '.', contentStore: false }
+        writeProject(dir, { name: 'root', version: '1.0.0', dependencies: { a: '1.0.0' } }, {
+            'node_modules/a': { version: '1.0.0' },
+        })
+        await install({ ...options, reporter: silent() })
+        writeProject(dir, { name: 'root', version: '1.0.0', dependencies: { a: '1.0.0', b: '1.0.0' } }, {
+            'node_modules/a': { version: '1.0.0' },
+            'node_modules/b': { version: '1.0.0' },
+        })
+        const reporter = silent()
+        await install({ ...options, reporter })
+        const summary = reporter.events.find(e => e.type == 'summary')
+        assert.equal(summary.installed, 1)
+        assert.equal(summary.reused, 1)
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+    }
+})
+
+await test('overrides are checked on every path', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_install-'))
+    try {
+        // x is reached first through a, then through bar
+        const pkg = { name: 'root', version: '1.0.0', dependencies: { a: '1.0.0', bar: '1.0.0' }, overrides: { bar: { foo: '1.0.0' } } }
+        writeProject(dir, pkg, {
+            'node_modules/a': { version: '1.0.0', dependencies: { x: '1.0.0' } },
+            'node_modules/bar': { version: '1.0.0', dependencies: { x: '1.0.0' } },
+            'node_modules/x': { version: '1.0.0', dependencies: { foo: '2.0.0' } },
+            'node_modules/foo': { version: '2.0.0' },
+        })
+        const reporter = silent()
+        await assert.rejects(install({ cwd: dir, offlineMirror: '.', contentStore: false, reporter }), { code: 'ELOCKFILEDRIFT' })
+        const error = reporter.events.find(e => e.type == 'error')
+        assert.match(error.message, /overrides "bar > foo": "1.0.0": found foo@2.0.0 in bar@1.0.0 > x@1.0.0 > foo@2.0.0/)
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+    }
+})
+
+await test('lockfile change adds, relinks and prunes packages', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_install-'))
+    try {
+        const options = { cwd: dir, offlineMirror: '.', contentStore: false, reporter: silent() }
+        writeProject(dir, { name: 'root', version: '1.0.0', dependencies: { a: '1.0.0', b: '1.0.0' } }, {
+            'node_modules/a': { version: '1.0.0' },
+            'node_modules/b': { version: '1.0.0' },
+        })
+        await install(options)
+        assert.equal(fs.readlinkSync(`${dir}/node_modules/b`), '.pnpm/b@1.0.0/node_modules/b')
+
+        // add c, change b
+        writeProject(dir, { name: 'root', version: '1.0.0', dependencies: { a: '1.0.0', b: '2.0.0', c: '1.0.0' } }, {
+            'node_modules/a': { version: '1.0.0' },
+            'node_modules/b': { version: '2.0.0' },
+            'node_modules/c': { version: '1.0.0' },
+        })
+        const reporter = silent()
+        const result = await install({ ...options, reporter })
+        assert.deepEqual(result.packages.map(p => `${p.name}@${p.version}`).sort(), ['a@1.0.0', 'b@2.0.0', 'c@1.0.0'])
+        assert.equal(fs.readlinkSync(`${dir}/node_modules/b`), '.pnpm/b@2.0.0/node_modules/b')
+        assert.equal(JSON.parse(fs.readFileSync(`${dir}/node_modules/b/package.json`, 'utf8')).version, '2.0.0')
+        assert.ok(fs.existsSync(`${dir}/node_modules/c/package.json`))
+        // the stale b@1.0.0 is pruned
+        assert.deepEqual(fs.readdirSync(`${dir}/node_modules/.pnpm`).sort(), ['a@1.0.0', 'b@2.0.0', 'c@1.0.0'])
+        assert.deepEqual(Object.keys(readState(dir).packages).sort(), ['.pnpm/a@1.0.0', '.pnpm/b@2.0.0', '.pnpm/c@1.0.0'])
+        const summary = reporter.events.find(e => e.type == 'summary')
+        assert.deepEqual([summary.installed, summary.reused, summary.removed], [2, 1, 1])
+        assert.ok(!reporter.events.some(e => e.type == 'unpack' && e.name == 'a@1.0.0'))
+        assertNoLeftovers(dir)
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+    }
+})
+
+await test('workspaces have their own node_modules', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_install-'))
+    try {
+        const foo = { name: 'foo', version: '1.0.0', dependencies: { bar: '*', c: '2.0.0' } }
+        const bar = { name: 'bar', version: '2.0.0', bin: { 'bar-cli': 'cli.js' } }
+        for (const pkg of [foo, bar]) {
+            fs.mkdirSync(`${dir}/packages/${pkg.name}`, { recursive: true })
+            fs.writeFileSync(`${dir}/packages/${pkg.name}/package.json`, JSON.stringify(pkg))
+        }
+        fs.writeFileSync(`${dir}/packages/bar/cli.js`, '#!/usr/bin/env node\nconsole.log("bar-cli")\n')
+        const cli = '#!/usr/bin/env node\nconsole.log("c " + require("./package.json").version)\n'
+        writeProject(dir, { name: 'root', version: '1.0.0', workspaces: ['packages/*'], dependencies: { c: '1.0.0' } }, {
+            'node_modules/bar': { resolved: 'packages/bar', link: true },
+            'node_modules/foo': { resolved: 'packages/foo', link: true },
+            'node_modules/c': { version: '1.0.0', bin: { c: 'cli.js' }, files: { 'cli.js': cli } },
+            'packages/bar': bar,
+            'packages/foo': foo,
+            'packages/foo/node_modules/c': { version: '2.0.0', bin: { c: 'cli.js' }, files: { 'cli.js': cli } },
+        })
+        await install({ cwd: dir, offlineMirror: '.', contentStore: false, reporter: silent() })
+
+        // all workspaces are linked in the root node_modules
+        assert.equal(fs.readlinkSync(`${dir}/node_modules/foo`), '../packages/foo')
+        assert.equal(fs.readlinkSync(`${dir}/node_modules/bar`), '../packages/bar')
+        // dependencies of foo are in the node_modules of foo, with links to the shared virtual store
+        assert.equal(fs.readlinkSync(`${dir}/packages/foo/node_modules/c`), '../../../node_modules/.pnpm/c@2.0.0/node_modules/c')
+        assert.equal(fs.readlinkSync(`${dir}/packages/foo/node_modules/bar`), '../../bar')
+        assert.ok(!fs.existsSync(`${dir}/packages/bar/node_modules/c`))
+        // binaries of each importer
+        const run = bin => execFileSync(bin, { encoding: 'utf8' }).trim()
+        assert.equal(run(`${dir}/node_modules/.bin/c`), 'c 1.0.0')
+        assert.equal(run(`${dir}/packages/foo/node_modules/.bin/c`), 'c 2.0.0')
+        assert.equal(run(`${dir}/packages/foo/node_modules/.bin/bar-cli`), 'bar-cli')
+        // workspaces linked in the root node_modules have their binaries in the root .bin, like npm
+        assert.equal(run(`${dir}/node_modules/.bin/bar-cli`), 'bar-cli')
+        for (const workspace of ['foo', 'bar']) {
+            assert.ok(!fs.existsSync(`${dir}/packages/${workspace}/.node_modules-staging`))
+        }
+        assertNoLeftovers(dir)
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+    }
+})
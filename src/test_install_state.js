@@ -0,0 +1,78 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import assert from "assert";
+import { test } from "node:test";
+
+import { emptyState, readInstallState, writeInstallState, installHash, pathExists, isComplete, isPending, staleEntries, stateFileName } from "./installState.js";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_install_state-'))
+
+try {
+    await test('hash of inputs', () => {
+        assert.equal(installHash(['a', { b: 1 }]), installHash(['a', { b: 1 }]))
+        assert.notEqual(installHash(['a', { b: 1 }]), installHash(['a', { b: 2 }]))
+        // parts are separated
+        assert.notEqual(installHash(['ab', 'c']), installHash(['a', 'bc']))
+    })
+
+    await test('read and write state', () => {
+        const dir = `${tmpDir}/node_modules`
+        assert.equal(readInstallState(dir), null)
+        fs.mkdirSync(dir)
+        const state = emptyState('x')
+        state.links.push('a')
+        writeInstallState(dir, state)
+        assert.deepEqual(readInstallState(dir), state)
+        assert.ok(!fs.existsSync(`${dir}/${stateFileName}.tmp`))
+        // other versions and broken files are ignored
+        fs.writeFileSync(`${dir}/${stateFileName}`, JSON.stringify({ ...state, version: 0 }))
+        assert.equal(readInstallState(dir), null)
+        fs.writeFileSync(`${dir}/${stateFileName}`, '{')
+        assert.equal(readInstallState(dir), null)
+    })
+
+    await test('pending state', () => {
+        const dir = `${tmpDir}/pending/node_modules`
+        assert.equal(isPending(dir), false)
+        fs.mkdirSync(dir, { recursive: true })
+        writeInstallState(dir, { ...emptyState('x'), pending: true })
+        assert.equal(isPending(dir), true)
+        writeInstallState(dir, emptyState('x'))
+        assert.equal(isPending(dir), false)
+    })
+
+    await test('broken symlinks exist', () => {
+        fs.symlinkSync('missing', `${tmpDir}/broken`)
+        assert.equal(pathExists(`${tmpDir}/broken`), true)
+        assert.equal(fs.existsSync(`${tmpDir}/broken`), false)
+        assert.equal(pathExists(`${tmpDir}/missing`), false)
+    })
+
+    await test('complete state', () => {
+        const state = emptyState('x')
+        state.packages['.pnpm/a@1'] = { dir: 'node_modules' }
+        state.links.push('broken')
+        assert.equal(isComplete(state, tmpDir), true)
+        state.bins.push('missing')
+        assert.equal(isComplete(state, tmpDir), false)
+    })
+
+    await test('stale entries', () => {
+        const oldState = emptyState('x')
+        oldState.packages = { '.pnpm/a@1': {}, '.pnpm/b@1': {} }
+        oldState.links = ['a', 'b']
+        oldState.bins = ['.bin/b']
+        const newState = emptyState('y')
+        newState.packages = { '.pnpm/a@2': {}, '.pnpm/b@1': {} }
+        newState.links = ['a', 'b']
+        assert.deepEqual(staleEntries(oldState, newState), {
+            packages: ['.pnpm/a@1'],
+            links: [],
+            bins: ['.bin/b'],
+        })
+    })
+}
+finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+}
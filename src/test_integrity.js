@@ -0,0 +1,48 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import assert from "assert";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+
+import { parseIntegrity, verifyIntegrity } from "./integrity.js";
+
+const testMaterials = path.join(path.dirname(fileURLToPath(import.meta.url)), 'test_materials')
+
+// integrity from src/test_materials/package-lock.json
+const archive = `${testMaterials}/proxy-from-env-1.1.0.tgz`
+const sha512 = 'sha512-D+zkORCbA9f1tdWRK0RaCR3GPv50cMxcrz4X8k5LTSUD1Dkw47mKJEZQNunItRTkWwgtaUSo1RVFRIG9ZXiFYg=='
+
+const data = fs.readFileSync(archive)
+const sha1 = 'sha1-' + crypto.createHash('sha1').update(data).digest('base64')
+const sha1hex = crypto.createHash('sha1').update(data).digest('hex')
+
+test('sha512', () => {
+    assert.equal(verifyIntegrity(data, sha512, 'proxy-from-env@1.1.0'), sha512)
+})
+
+test('sha1', () => {
+    assert.equal(verifyIntegrity(data, sha1, 'proxy-from-env@1.1.0'), sha1)
+    assert.equal(verifyIntegrity(data, sha1hex, 'proxy-from-env@1.1.0'), sha1)
+})
+
+test('multi-hash: strongest algorithm wins', () => {
+    const badSha1 = 'sha1-' + Buffer.alloc(20).toString('base64')
+    assert.equal(verifyIntegrity(data, `${badSha1} ${sha512}`, 'proxy-from-env@1.1.0'), sha512)
+    assert.deepEqual(Object.keys(parseIntegrity(`${badSha1} ${sha512}?foo md5-xxx`)).sort(), ['sha1', 'sha512'])
+})
+
+test('mismatch', () => {
+    const truncated = data.subarray(0, data.length - 1)
+    assert.throws(() => verifyIntegrity(truncated, sha512, 'proxy-from-env@1.1.0'), error => {
+        assert.equal(error.code, 'EINTEGRITY')
+        assert.match(error.message, /proxy-from-env@1\.1\.0/)
+        assert.match(error.message, /expected: sha512-D\+zkORCb/)
+        assert.match(error.message, /actual: +sha512-/)
+        return true
+    })
+})
+
+test('invalid integrity', () => {
+    assert.throws(() => verifyIntegrity(data, 'md5-xxx', 'x@1.0.0'), /invalid integrity/)
+})
@@ -0,0 +1,63 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import assert from "assert";
+import { test } from "node:test";
+
+import { runScript, getScripts, scriptAllowlist } from "./lifecycle.js";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_lifecycle-'))
+
+const pkg = {
+    name: 'test-lifecycle-scripts',
+    version: '1.0.0',
+    config: { port: 8080 },
+    scripts: {
+        preinstall: 'echo pre',
+        postinstall: 'echo "$npm_package_name $npm_package_version $npm_lifecycle_event $npm_package_config_port"',
+    },
+}
+
+try {
+    fs.writeFileSync(`${tmpDir}/package.json`, JSON.stringify(pkg))
+
+    await test('get scripts in order', async () => {
+        assert.deepEqual(getScripts(pkg, tmpDir), [['preinstall', 'echo pre'], ['postinstall', pkg.scripts.postinstall]])
+        fs.writeFileSync(`${tmpDir}/binding.gyp`, '{}')
+        assert.deepEqual(getScripts({}, tmpDir), [['install', 'node-gyp rebuild']])
+        fs.rmSync(`${tmpDir}/binding.gyp`)
+    })
+
+    await test('npm environment', async () => {
+        const output = await runScript({ pkg, pkgDir: tmpDir, event: 'postinstall', script: pkg.scripts.postinstall })
+        assert.equal(output, 'test-lifecycle-scripts 1.0.0 postinstall 8080\n')
+        const env = await runScript({ pkg, pkgDir: tmpDir, event: 'install', script: 'echo "$npm_package_json"; pwd; echo "$PATH"', binDirs: ['/x/.bin'] })
+        const [pkgJson, cwd, PATH] = env.trim().split('\n')
+        assert.equal(pkgJson, path.join(tmpDir, 'package.json'))
+        assert.equal(fs.realpathSync(cwd), fs.realpathSync(tmpDir))
+        assert.ok(PATH.startsWith(`/x/.bin${path.delimiter}${path.dirname(process.execPath)}`))
+    })
+
+    await test('failed script has output', async () => {
+        await assert.rejects(runScript({ pkg, pkgDir: tmpDir, event: 'install', script: 'echo out; echo err >&2; exit 3' }), error => {
+            assert.equal(error.code, 'ELIFECYCLE')
+            assert.equal(error.exitCode, 3)
+            assert.match(error.message, /test-lifecycle-scripts@1\.0\.0 install: exit code 3/)
+            assert.equal(error.output, 'out\nerr\n')
+            return true
+        })
+    })
+
+    await test('allowlist', async () => {
+        const all = scriptAllowlist({})
+        assert.equal(all({ name: 'esbuild', version: '0.19.0' }), true)
+        const only = scriptAllowlist({ pnpm: { onlyBuiltDependencies: ['esbuild', 'sharp@0.32.0'], neverBuiltDependencies: ['core-js'] } })
+        assert.equal(only({ name: 'esbuild', version: '0.19.0' }), true)
+        assert.equal(only({ name: 'sharp', version: '0.32.0' }), true)
+        assert.equal(only({ name: 'sharp', version: '0.33.0' }), false)
+        assert.equal(only({ name: 'core-js', version: '3.0.0' }), false)
+    })
+}
+finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+}
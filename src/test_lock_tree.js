@@ -0,0 +1,249 @@
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+
+import { lockTree, workspaceTree, pruneTree, resolveTreePeers, locationAddr, packageLocation } from "./lockTree.js";
+
+const testMaterials = path.join(path.dirname(fileURLToPath(import.meta.url)), 'test_materials', 'npm')
+
+const readJson = name => JSON.parse(fs.readFileSync(`${testMaterials}/${name}`, 'utf8'))
+
+// generated by npm 10 from test_materials/npm/package.json
+// with --lockfile-version 1 and --lockfile-version 3
+const pkg = readJson('package.json')
+const lockV1 = readJson('package-lock-v1.json')
+const lockV3 = readJson('package-lock-v3.json')
+
+test('location to address', () => {
+    assert.equal(locationAddr('node_modules/a'), 'a')
+    assert.equal(locationAddr('node_modules/a/node_modules/@b/c'), 'a:@b/c')
+})
+
+test('find package location like require', () => {
+    const packages = {
+        'node_modules/a': {},
+        'node_modules/b': {},
+        'node_modules/a/node_modules/b': {},
+        'node_modules/@s/c': {},
+    }
+    assert.equal(packageLocation(packages, 'b', 'node_modules/a'), 'node_modules/a/node_modules/b')
+    assert.equal(packageLocation(packages, 'b', 'node_modules/@s/c'), 'node_modules/b')
+    assert.equal(packageLocation(packages, 'a', 'node_modules/a/node_modules/b'), 'node_modules/a')
+    assert.equal(packageLocation(packages, 'x', 'node_modules/a'), null)
+})
+
+for (const [lockVersion, pkgLock] of [['v1', lockV1], ['v3', lockV3]]) {
+    test(`${lockVersion}: root dependencies`, () => {
+        const tree = lockTree(pkg, pkgLock)
+        assert.equal(tree.name, 'npm-lock-test')
+        assert.deepEqual(Object.keys(tree.dependencies).sort(), ['@esbuild/darwin-arm64', 'minimist', 'string-width', 'strip-ansi'])
+        // v1 has no os and cpu fields
+        if (lockVersion == 'v3') assert.deepEqual(tree.dependencies['@esbuild/darwin-arm64'].os, ['darwin'])
+        const dep = tree.dependencies['string-width']
+        assert.equal(dep.version, '4.2.3')
+        assert.equal(dep.resolved, 'https://registry.npmjs.org/string-width/-/string-width-4.2.3.tgz')
+        assert.match(dep.integrity, /^sha512-/)
+        assert.equal(tree.dependencies['@esbuild/darwin-arm64'].optional, true)
+        assert.equal(tree.dependencies.minimist.dev, true)
+    })
+
+    test(`${lockVersion}: nested dependencies`, () => {
+        const tree = lockTree(pkg, pkgLock)
+        const stringWidth = tree.dependencies['string-width']
+        const nested = stringWidth.dependencies['strip-ansi']
+        assert.equal(nested.version, '6.0.1')
+        assert.equal(nested.address, 'string-width:strip-ansi')
+        assert.equal(nested.path(), 'node_modules/string-width/node_modules/strip-ansi')
+        assert.equal(nested.dependencies['ansi-regex'].version, '5.0.1')
+        assert.equal(tree.dependencies['strip-ansi'].version, '7.1.0')
+        assert.equal(tree.dependencies['strip-ansi'].dependencies['ansi-regex'].version, '6.4.0')
+        // deduplicated
+        assert.equal(stringWidth.dependencies['emoji-regex'].requiredBy.size, 1)
+    })
+
+    test(`${lockVersion}: prod`, () => {
+        const tree = pruneTree(lockTree(pkg, pkgLock), pkg, { prod: true })
+        assert.ok(!('minimist' in tree.dependencies))
+        assert.ok('string-width' in tree.dependencies)
+        assert.ok('@esbuild/darwin-arm64' in tree.dependencies)
+    })
+
+    test(`${lockVersion}: dev`, () => {
+        const tree = pruneTree(lockTree(pkg, pkgLock), pkg, { dev: true })
+        assert.deepEqual(Object.keys(tree.dependencies), ['minimist'])
+    })
+}
+
+test('v3: skip missing optional dependencies', () => {
+    const pkgLock = JSON.parse(JSON.stringify(lockV3))
+    delete pkgLock.packages['node_modules/@esbuild/darwin-arm64']
+    const tree = lockTree(pkg, pkgLock)
+    assert.ok(!('@esbuild/darwin-arm64' in tree.dependencies))
+})
+
+test('v3: missing dependency', () => {
+    const pkgLock = JSON.parse(JSON.stringify(lockV3))
+    delete pkgLock.packages['node_modules/emoji-regex']
+    assert.throws(() => lockTree(pkg, pkgLock), /emoji-regex not accessible from node_modules\/string-width/)
+})
+
+test('v3: cycles', () => {
+    const tree = lockTree({ name: 'root', dependencies: { a: '1' } }, {
+        lockfileVersion: 3,
+        packages: {
+            '': { dependencies: { a: '1' } },
+            'node_modules/a': { version: '1.0.0', dependencies: { b: '1' } },
+            'node_modules/b': { version: '1.0.0', dependencies: { a: '1' } },
+        },
+    })
+    const a = tree.dependencies.a
+    assert.equal(a.dependencies.b.dependencies.a, a)
+    assert.ok(a.hasCycle())
+})
+
+test('v1: cycles', () => {
+    const tree = lockTree({ name: 'root', dependencies: { a: '1' } }, {
+        lockfileVersion: 1,
+        dependencies: {
+            a: { version: '1.0.0', requires: { b: '1' } },
+            b: { version: '1.0.0', requires: { a: '1' } },
+        },
+    })
+    const a = tree.dependencies.a
+    assert.equal(a.dependencies.b.dependencies.a, a)
+})
+
+test('v3: npm aliases', () => {
+    const tree = lockTree({ name: 'root', dependencies: { 'string-width-cjs': 'npm:string-width@^4.2.0' } }, {
+        lockfileVersion: 3,
+        packages: {
+            '': { dependencies: { 'string-width-cjs': 'npm:string-width@^4.2.0' } },
+            'node_modules/string-width-cjs': { name: 'string-width', version: '4.2.3' },
+        },
+    })
+    const dep = tree.dependencies['string-width-cjs']
+    assert.equal(dep.linkName, 'string-width-cjs')
+    assert.equal(dep.name, 'string-width')
+    assert.equal(dep.version, '4.2.3')
+})
+
+test('v1: npm aliases', () => {
+    const tree = lockTree({ name: 'root', dependencies: { 'string-width-cjs': 'npm:string-width@^4.2.0' } }, {
+        lockfileVersion: 1,
+        dependencies: {
+            'string-width-cjs': { version: 'npm:string-width@4.2.3' },
+        },
+    })
+    const dep = tree.dependencies['string-width-cjs']
+    assert.equal(dep.linkName, 'string-width-cjs')
+    assert.equal(dep.name, 'string-width')
+    assert.equal(dep.version, '4.2.3')
+})
+
+test('v3: workspace links', () => {
+    const tree = lockTree({ name: 'root', dependencies: { foo: '*' } }, {
+        lockfileVersion: 3,
+        packages: {
+            '': { dependencies: { foo: '*' } },
+            'node_modules/foo': { resolved: 'packages/foo', link: true },
+            'packages/foo': { version: '2.0.0', dependencies: { bar: '1' } },
+            'node_modules/bar': { version: '1.0.0' },
+        },
+    })
+    const foo = tree.dependencies.foo
+    assert.equal(foo.version, '2.0.0')
+    assert.equal(foo.resolved, 'file:packages/foo')
+    assert.equal(foo.dependencies.bar.version, '1.0.0')
+})
+
+test('v3: workspace tree', () => {
+    const pkgLock = {
+        lockfileVersion: 3,
+        packages: {
+            '': { workspaces: ['packages/*'] },
+            'node_modules/foo': { resolved: 'packages/foo', link: true },
+            'node_modules/bar': { resolved: 'packages/bar', link: true },
+            'packages/foo': { name: 'foo', version: '2.0.0', dependencies: { bar: '*', c: '1' }, devDependencies: { d: '1' } },
+            'packages/foo/node_modules/c': { version: '1.1.0' },
+            'packages/bar': { name: 'bar', version: '3.0.0' },
+            'node_modules/c': { version: '1.0.0' },
+            'node_modules/d': { version: '1.0.0', dev: true },
+        },
+    }
+    const pkg = { name: 'foo', version: '2.0.0', dependencies: { bar: '*', c: '1' }, devDependencies: { d: '1' } }
+    const tree = workspaceTree(pkg, pkgLock, 'packages/foo')
+    assert.deepEqual(Object.keys(tree.dependencies).sort(), ['bar', 'c', 'd'])
+    // nested in the workspace
+    assert.equal(tree.dependencies.c.version, '1.1.0')
+    // link to another workspace
+    assert.equal(tree.dependencies.bar.link, true)
+    assert.equal(tree.dependencies.bar.resolved, 'file:packages/bar')
+    assert.equal(tree.dependencies.c.link, false)
+    assert.throws(() => workspaceTree(pkg, pkgLock, 'packages/missing'), /workspace packages\/missing not found/)
+})
+
+test('v3: link peer dependencies', () => {
+    const pkg = { name: 'root', dependencies: { plugin: '1', react: '18', old: '1' } }
+    const { tree, issues } = resolveTreePeers(lockTree(pkg, {
+        lockfileVersion: 3,
+        packages: {
+            '': pkg,
+            'node_modules/plugin': { version: '1.0.0', peerDependencies: { react: '>=17' } },
+            'node_modules/react': { version: '18.2.0' },
+            'node_modules/old': { version: '1.0.0', dependencies: { plugin: '1', react: '17' } },
+            'node_modules/old/node_modules/react': { version: '17.0.2' },
+        },
+    }))
+    assert.deepEqual(issues, [])
+    const plugin = tree.dependencies.plugin
+    assert.equal(plugin.peerSuffix, '(react@18.2.0)')
+    assert.equal(plugin.dependencies.react.version, '18.2.0')
+    // same version, other peer
+    const oldPlugin = tree.dependencies.old.dependencies.plugin
+    assert.equal(oldPlugin.peerSuffix, '(react@17.0.2)')
+    assert.equal(oldPlugin.dependencies.react.version, '17.0.2')
+    assert.equal(tree.dependencies.old.peerSuffix, '')
+})
+
+// generated by npm 10 for a root package which only depends on react-dom@18.2.0
+// npm installs its peer react as "node_modules/react": { "peer": true }
+test('v3: link peers installed by npm', () => {
+    const pkgLock = readJson('package-lock-peer.json')
+    const pkg = pkgLock.packages['']
+    assert.equal(pkgLock.packages['node_modules/react'].peer, true)
+    const { tree, issues } = resolveTreePeers(lockTree(pkg, pkgLock))
+    assert.deepEqual(issues, [])
+    assert.deepEqual(Object.keys(tree.dependencies), ['react-dom'])
+    const reactDom = tree.dependencies['react-dom']
+    assert.equal(reactDom.peerSuffix, '(react@18.3.1)')
+    assert.equal(reactDom.dependencies.react.version, '18.3.1')
+    assert.deepEqual(Object.keys(reactDom.dependencies.react.dependencies), ['loose-envify'])
+})
+
+test('v3: prune packages by dev and devOptional flags', () => {
+    // a is a dependency, b is a devDependency, both require c
+    // d is an optional dependency of a, and a devDependency: devOptional
+    // e is only required by b
+    const pkg = { name: 'root', dependencies: { a: '1' }, devDependencies: { b: '1', d: '1' } }
+    const pkgLock = {
+        lockfileVersion: 3,
+        packages: {
+            '': pkg,
+            'node_modules/a': { version: '1.0.0', dependencies: { c: '1' }, optionalDependencies: { d: '1' } },
+            'node_modules/b': { version: '1.0.0', dev: true, dependencies: { c: '1', e: '1' } },
+            'node_modules/c': { version: '1.0.0' },
+            'node_modules/d': { version: '1.0.0', devOptional: true },
+            'node_modules/e': { version: '1.0.0', dev: true },
+        },
+    }
+    const prod = pruneTree(lockTree(pkg, pkgLock), pkg, { prod: true })
+    assert.deepEqual(Object.keys(prod.dependencies), ['a'])
+    assert.deepEqual(Object.keys(prod.dependencies.a.dependencies).sort(), ['c', 'd'])
+
+    const dev = pruneTree(lockTree(pkg, pkgLock), pkg, { dev: true })
+    assert.deepEqual(Object.keys(dev.dependencies).sort(), ['b', 'd'])
+    // c is required by both sides
+    assert.deepEqual(Object.keys(dev.dependencies.b.dependencies).sort(), ['c', 'e'])
+})
@@ -0,0 +1,103 @@
+import assert from "assert";
+import { test } from "node:test";
+
+import { parseOverrides, checkOverrides, overridePathKey, specMatches, formatOverrideIssue } from "./overrides.js";
+
+// "a@1.0.0 > b@2.0.0" -> depPath with the root package first
+function makePath(text) {
+    return [{ name: 'root', version: '0.0.0' }, ...text.split(' > ').map(nameVersion => {
+        const at = nameVersion.indexOf('@', 1)
+        const [name, linkName] = nameVersion.slice(0, at).split(' as ')
+        return { name, linkName: linkName || name, version: nameVersion.slice(at + 1) }
+    })]
+}
+
+const check = (rules, text) => checkOverrides(rules, makePath(text)).map(formatOverrideIssue)
+
+test('spec matches', () => {
+    const node = { name: 'foo', version: '1.2.3' }
+    assert.equal(specMatches('^1.0.0', node), true)
+    assert.equal(specMatches('2.0.0', node), false)
+    assert.equal(specMatches('npm:^1.0.0', node), true)
+    assert.equal(specMatches('npm:foo@1.2.3', node), true)
+    assert.equal(specMatches('npm:bar@1.2.3', node), false)
+    assert.equal(specMatches('latest', node), null)
+    assert.equal(specMatches('github:user/foo', node), null)
+})
+
+test('npm overrides', () => {
+    const pkg = {
+        dependencies: { bar: '^2.0.0' },
+        overrides: {
+            foo: '1.0.0',
+            'baz@^3.0.0': '3.1.0',
+            bar: { '.': '$bar', qux: '4.0.0' },
+        },
+    }
+    const rules = parseOverrides(pkg, 'npm')
+    assert.deepEqual(rules.map(r => [r.key, r.spec]), [
+        ['foo', '1.0.0'],
+        ['baz@^3.0.0', '3.1.0'],
+        ['bar', '^2.0.0'],
+        ['bar > qux', '4.0.0'],
+    ])
+    assert.deepEqual(parseOverrides(pkg, 'yarn'), [])
+
+    assert.deepEqual(check(rules, 'x@1.0.0 > foo@1.0.0'), [])
+    assert.deepEqual(check(rules, 'x@1.0.0 > foo@1.1.0'), [
+        'overrides "foo": "1.0.0": found foo@1.1.0 in x@1.0.0 > foo@1.1.0',
+    ])
+    // other range
+    assert.deepEqual(check(rules, 'baz@2.0.0'), [])
+    assert.deepEqual(check(rules, 'baz@3.0.0'), [
+        'overrides "baz@^3.0.0": "3.1.0": found baz@3.0.0 in baz@3.0.0',
+    ])
+    // at any depth below bar
+    assert.deepEqual(check(rules, 'bar@2.0.0 > x@1.0.0 > qux@5.0.0'), [
+        'overrides "bar > qux": "4.0.0": found qux@5.0.0 in bar@2.0.0 > x@1.0.0 > qux@5.0.0',
+    ])
+    assert.deepEqual(check(rules, 'x@1.0.0 > qux@5.0.0'), [])
+    assert.throws(() => parseOverrides({ overrides: { foo: '$foo' } }, 'npm'), /unable to resolve reference \$foo/)
+})
+
+test('yarn resolutions', () => {
+    const rules = parseOverrides({
+        resolutions: {
+            foo: '1.0.0',
+            'bar/qux': '4.0.0',
+            'baz/**/@s/qux': '5.0.0',
+            'string-width-cjs': 'npm:string-width@4.2.3',
+        },
+    }, 'yarn')
+    assert.deepEqual(rules[2].selectors, [
+        { name: 'baz', range: null, direct: false },
+        { name: '@s/qux', range: null, direct: false },
+    ])
+    assert.deepEqual(check(rules, 'x@1.0.0 > foo@2.0.0').length, 1)
+    // direct dependency of bar
+    assert.deepEqual(check(rules, 'bar@1.0.0 > qux@3.0.0').length, 1)
+    assert.deepEqual(check(rules, 'bar@1.0.0 > x@1.0.0 > qux@3.0.0'), [])
+    // at any depth below baz
+    assert.deepEqual(check(rules, 'baz@1.0.0 > x@1.0.0 > @s/qux@3.0.0').length, 1)
+    // aliases match by link name
+    assert.deepEqual(check(rules, 'string-width as string-width-cjs@4.2.3'), [])
+    assert.deepEqual(check(rules, 'string-width as string-width-cjs@5.1.2'), [
+        'resolutions "string-width-cjs": "npm:string-width@4.2.3": found string-width@5.1.2 in string-width@5.1.2',
+    ])
+    assert.throws(() => parseOverrides({ resolutions: ['foo'] }, 'pnpm'), /invalid "resolutions"/)
+})
+
+test('path keys', () => {
+    const rules = parseOverrides({ resolutions: { 'bar/**/foo': '1.0.0', 'baz/qux': '2.0.0' } }, 'yarn')
+    const key = text => overridePathKey(rules, makePath(text))
+    // packages which match no selector are collapsed
+    assert.equal(key('a@1.0.0 > b@1.0.0 > x@1.0.0'), '*')
+    assert.equal(key('a@1.0.0 > x@1.0.0'), key('a@1.0.0 > b@1.0.0 > x@1.0.0'))
+    assert.equal(key('bar@1.0.0 > a@1.0.0 > x@1.0.0'), 'bar bar@1.0.0 > *')
+    assert.notEqual(key('a@1.0.0 > x@1.0.0'), key('bar@1.0.0 > x@1.0.0'))
+    // adjacency is kept for direct selectors
+    assert.equal(key('baz@1.0.0 > a@1.0.0 > qux@1.0.0'), 'baz baz@1.0.0 > * > qux qux@1.0.0')
+    assert.notEqual(key('baz@1.0.0 > qux@1.0.0'), key('baz@1.0.0 > a@1.0.0 > qux@1.0.0'))
+    // cycles are cut at the first visit
+    assert.equal(key('bar@1.0.0 > x@1.0.0 > bar@1.0.0'), key('bar@1.0.0'))
+})
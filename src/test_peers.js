@@ -0,0 +1,80 @@
+import assert from "assert";
+import { test } from "node:test";
+
+import { resolveLockgraphPeers, formatPeerIssue } from "./peers.js";
+
+// nodes: { id: [deps, peerDependencies, peerDependenciesMeta] }
+function makeLockgraph(rootDeps, nodes) {
+    const lockgraph = { root: { name: 'root', version: '1.0.0', deps: rootDeps }, nodes: {}, warnings: [] }
+    for (const [id, [deps, peerDependencies, peerDependenciesMeta]] of Object.entries(nodes)) {
+        const at = id.indexOf('@', 1)
+        lockgraph.nodes[id] = { name: id.slice(0, at), version: id.slice(at + 1), peerSuffix: '', deps: deps || {}, peerDependencies, peerDependenciesMeta }
+    }
+    return lockgraph
+}
+
+test('link peers from the parent', () => {
+    const { lockgraph, issues } = resolveLockgraphPeers(makeLockgraph({ plugin: 'plugin@1.0.0', react: 'react@18.2.0' }, {
+        'plugin@1.0.0': [{}, { react: '^18.0.0' }],
+        'react@18.2.0': [],
+    }))
+    assert.deepEqual(issues, [])
+    assert.equal(lockgraph.root.deps.plugin, 'plugin@1.0.0(react@18.2.0)')
+    const plugin = lockgraph.nodes['plugin@1.0.0(react@18.2.0)']
+    assert.equal(plugin.peerSuffix, '(react@18.2.0)')
+    assert.deepEqual(plugin.deps, { react: 'react@18.2.0' })
+})
+
+test('one node per set of peers, from the nearest ancestor', () => {
+    const { lockgraph } = resolveLockgraphPeers(makeLockgraph({ a: 'a@1.0.0', b: 'b@1.0.0', react: 'react@16.14.0' }, {
+        'a@1.0.0': [{ plugin: 'plugin@1.0.0', react: 'react@17.0.2' }],
+        'b@1.0.0': [{ plugin: 'plugin@1.0.0', react: 'react@18.2.0' }],
+        'plugin@1.0.0': [{}, { react: '*' }],
+        'react@16.14.0': [],
+        'react@17.0.2': [],
+        'react@18.2.0': [],
+    }))
+    // a and b provide the peer, so they have no suffix
+    assert.equal(lockgraph.root.deps.a, 'a@1.0.0')
+    assert.equal(lockgraph.nodes['a@1.0.0'].deps.plugin, 'plugin@1.0.0(react@17.0.2)')
+    assert.equal(lockgraph.nodes['b@1.0.0'].deps.plugin, 'plugin@1.0.0(react@18.2.0)')
+    assert.equal(lockgraph.nodes['plugin@1.0.0(react@17.0.2)'].deps.react, 'react@17.0.2')
+})
+
+test('parents get the peer suffix of their dependencies', () => {
+    const { lockgraph } = resolveLockgraphPeers(makeLockgraph({ wrapper: 'wrapper@1.0.0', react: 'react@18.2.0' }, {
+        'wrapper@1.0.0': [{ plugin: 'plugin@1.0.0' }],
+        'plugin@1.0.0': [{ inner: 'inner@1.0.0' }, { react: '*' }],
+        'inner@1.0.0': [{}, { react: '*' }],
+        'react@18.2.0': [],
+    }))
+    // plugin is linked from the store directory of wrapper, so wrapper depends on the peers of plugin
+    assert.equal(lockgraph.root.deps.wrapper, 'wrapper@1.0.0(react@18.2.0)')
+    const plugin = lockgraph.nodes['plugin@1.0.0(react@18.2.0)']
+    // inner gets react from the peers of plugin
+    assert.equal(plugin.deps.inner, 'inner@1.0.0(react@18.2.0)')
+})
+
+test('report missing and unmet peers', () => {
+    const { issues } = resolveLockgraphPeers(makeLockgraph({ a: 'a@1.0.0', b: 'b@1.0.0', react: 'react@18.2.0' }, {
+        'a@1.0.0': [{}, { react: '^17.0.0', vue: '^3.0.0', svelte: '*' }, { svelte: { optional: true } }],
+        // pnpm-lock.yaml has the resolved peers in deps
+        'b@1.0.0': [{ react: 'react@18.2.0' }, { react: '^16.0.0' }],
+        'react@18.2.0': [],
+    }))
+    assert.deepEqual(issues.map(formatPeerIssue).sort(), [
+        'a@1.0.0: missing peer vue@^3.0.0',
+        'a@1.0.0: unmet peer react@^17.0.0: found react@18.2.0',
+        'b@1.0.0: unmet peer react@^16.0.0: found react@18.2.0',
+    ])
+})
+
+test('cycles', () => {
+    const { lockgraph } = resolveLockgraphPeers(makeLockgraph({ a: 'a@1.0.0', react: 'react@18.2.0' }, {
+        'a@1.0.0': [{ b: 'b@1.0.0' }, { react: '*' }],
+        'b@1.0.0': [{ a: 'a@1.0.0' }],
+        'react@18.2.0': [],
+    }))
+    assert.equal(lockgraph.root.deps.a, 'a@1.0.0(react@18.2.0)')
+    assert.ok(lockgraph.nodes[lockgraph.nodes['a@1.0.0(react@18.2.0)'].deps.b])
+})
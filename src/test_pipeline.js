@@ -0,0 +1,51 @@
+import assert from "assert";
+import { test } from "node:test";
+
+import { createLimit, runDependencyOrder } from "./pipeline.js";
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+await test('limit concurrency', async () => {
+    const limit = createLimit(2)
+    let active = 0
+    let maxActive = 0
+    const results = await Promise.all([1, 2, 3, 4, 5].map(i => limit(async () => {
+        active++
+        maxActive = Math.max(maxActive, active)
+        await sleep(5)
+        active--
+        return i * 2
+    })))
+    assert.deepEqual(results, [2, 4, 6, 8, 10])
+    assert.equal(maxActive, 2)
+    assert.throws(() => createLimit(0), /invalid concurrency/)
+})
+
+await test('children before parents', async () => {
+    // a -> b -> d, a -> c -> d
+    const children = new Map([['a', ['b', 'c']], ['b', ['d']], ['c', ['d']]])
+    const order = []
+    await runDependencyOrder(['a'], children, async key => {
+        await sleep(key == 'b' ? 10 : 1)
+        order.push(key)
+    }, createLimit(4))
+    assert.deepEqual(order, ['d', 'c', 'b', 'a'])
+})
+
+await test('cycles', async () => {
+    // a -> b -> c -> b
+    const children = new Map([['a', ['b']], ['b', ['c']], ['c', ['b']]])
+    const order = []
+    await runDependencyOrder(['a'], children, key => order.push(key), createLimit(1))
+    assert.deepEqual(order, ['c', 'b', 'a'])
+})
+
+await test('stop after error', async () => {
+    const children = new Map([['a', ['b']], ['b', ['c']]])
+    const order = []
+    await assert.rejects(runDependencyOrder(['a'], children, key => {
+        order.push(key)
+        if (key == 'b') throw new Error('b failed')
+    }, createLimit(1)), /b failed/)
+    assert.deepEqual(order, ['c', 'b'])
+})
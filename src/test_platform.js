@@ -0,0 +1,40 @@
+import assert from "assert";
+import { test } from "node:test";
+
+import { currentPlatform, platformMismatch } from "./platform.js";
+
+const linuxGlibcX64 = { os: 'linux', cpu: 'x64', libc: 'glibc' }
+const darwinArm64 = { os: 'darwin', cpu: 'arm64', libc: null }
+
+test('current platform', () => {
+    const platform = currentPlatform()
+    assert.equal(platform.os, process.platform)
+    assert.equal(platform.cpu, process.arch)
+    if (process.platform == 'linux') assert.ok(['glibc', 'musl'].includes(platform.libc))
+})
+
+test('esbuild platform packages', () => {
+    // from package-lock.json of a project with esbuild
+    const linuxX64 = { name: '@esbuild/linux-x64', os: ['linux'], cpu: ['x64'] }
+    const darwinArm = { name: '@esbuild/darwin-arm64', os: ['darwin'], cpu: ['arm64'] }
+    assert.deepEqual(platformMismatch(linuxX64, linuxGlibcX64), [])
+    assert.deepEqual(platformMismatch(darwinArm, linuxGlibcX64), ['os', 'cpu'])
+    assert.deepEqual(platformMismatch(darwinArm, darwinArm64), [])
+})
+
+test('negated values', () => {
+    assert.deepEqual(platformMismatch({ os: ['!win32'] }, linuxGlibcX64), [])
+    assert.deepEqual(platformMismatch({ os: ['!linux'] }, linuxGlibcX64), ['os'])
+})
+
+test('libc', () => {
+    const musl = { os: ['linux'], cpu: ['x64'], libc: ['musl'] }
+    assert.deepEqual(platformMismatch(musl, linuxGlibcX64), ['libc'])
+    assert.deepEqual(platformMismatch(musl, { ...linuxGlibcX64, libc: 'musl' }), [])
+    // no libc on darwin
+    assert.deepEqual(platformMismatch({ libc: ['glibc'] }, darwinArm64), [])
+})
+
+test('no fields', () => {
+    assert.deepEqual(platformMismatch({}, linuxGlibcX64), [])
+})
@@ -0,0 +1,131 @@
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+
+import { parseYaml } from "./yaml.js";
+import { parsePnpmLock, parseDepPath } from "./pnpmLock.js";
+
+const testMaterials = path.join(path.dirname(fileURLToPath(import.meta.url)), 'test_materials', 'pnpm')
+
+// generated by pnpm 9 and pnpm 8 from test_materials/pnpm/package.json
+const lockV9 = fs.readFileSync(`${testMaterials}/pnpm-lock-v9.yaml`, 'utf8')
+const lockV6 = fs.readFileSync(`${testMaterials}/pnpm-lock-v6.yaml`, 'utf8')
+const pkg = JSON.parse(fs.readFileSync(`${testMaterials}/package.json`, 'utf8'))
+
+test('yaml block and flow collections', () => {
+    const doc = parseYaml([
+        '# comment',
+        'a: 1',
+        "b: 'x: y'",
+        'c:',
+        '  d: [e, "f"]',
+        '  g: {h: i, j: k}',
+        'l:',
+        '- m',
+        '- n: o',
+        '  p: true',
+        'q: null # comment',
+        '',
+    ].join('\n'))
+    assert.deepEqual(doc, {
+        a: '1',
+        b: 'x: y',
+        c: { d: ['e', 'f'], g: { h: 'i', j: 'k' } },
+        l: ['m', { n: 'o', p: true }],
+        q: null,
+    })
+})
+
+test('yaml rejects unsupported syntax', () => {
+    assert.throws(() => parseYaml('a: |\n  text\n'), /line 1: multi-line scalars are not supported/)
+    assert.throws(() => parseYaml('a:\n\tb: c\n'), /line 2: tabs are not allowed/)
+})
+
+test('parse depPath', () => {
+    assert.deepEqual(parseDepPath('/@scope/name@1.0.0'), { name: '@scope/name', version: '1.0.0', peerSuffix: '' })
+    assert.deepEqual(parseDepPath('a@1.0.0(b@2.0.0)(@c/d@3.0.0)'), { name: 'a', version: '1.0.0', peerSuffix: '(b@2.0.0)(@c/d@3.0.0)' })
+})
+
+for (const [lockVersion, text] of [['v9', lockV9], ['v6', lockV6]]) {
+    const prefix = (lockVersion == 'v6') ? '/' : ''
+
+    test(`${lockVersion}: root dependencies`, () => {
+        const { root } = parsePnpmLock(text, { pkg })
+        assert.equal(root.name, 'pnpm-lock-test')
+        assert.equal(root.version, '1.0.0')
+        assert.deepEqual(Object.keys(root.deps).sort(), [
+            '@esbuild/darwin-arm64',
+            '@esbuild/linux-x64',
+            'minimist',
+            'proxy-from-env',
+            'react',
+            'string-width-cjs',
+            'use-sync-external-store',
+        ])
+        // npm alias: link name is string-width-cjs
+        assert.equal(root.deps['string-width-cjs'], `${prefix}string-width@4.2.3`)
+    })
+
+    test(`${lockVersion}: peer-suffixed packages`, () => {
+        const { root, nodes } = parsePnpmLock(text, { pkg })
+        const id = root.deps['use-sync-external-store']
+        assert.equal(id, `${prefix}use-sync-external-store@1.2.0(react@18.2.0)`)
+        const node = nodes[id]
+        assert.equal(node.name, 'use-sync-external-store')
+        assert.equal(node.version, '1.2.0')
+        assert.equal(node.peerSuffix, '(react@18.2.0)')
+        assert.equal(node.resolved, 'https://registry.npmjs.org/use-sync-external-store/-/use-sync-external-store-1.2.0.tgz')
+        assert.match(node.integrity, /^sha512-/)
+        assert.equal(node.deps.react, `${prefix}react@18.2.0`)
+    })
+
+    test(`${lockVersion}: optional platform packages`, () => {
+        const { root, nodes } = parsePnpmLock(text, { pkg })
+        const node = nodes[root.deps['@esbuild/darwin-arm64']]
+        assert.equal(node.optional, true)
+        assert.deepEqual(node.os, ['darwin'])
+        assert.deepEqual(node.cpu, ['arm64'])
+        assert.equal(node.resolved, 'https://registry.npmjs.org/@esbuild/darwin-arm64/-/darwin-arm64-0.19.0.tgz')
+    })
+
+    test(`${lockVersion}: all dependencies are in the lockfile`, () => {
+        const { root, nodes } = parsePnpmLock(text, { pkg })
+        for (const parent of [root, ...Object.values(nodes)]) {
+            for (const id of Object.values(parent.deps)) {
+                assert.ok(nodes[id], `${parent.name}: missing ${id}`)
+            }
+        }
+    })
+
+    test(`${lockVersion}: dev`, () => {
+        const { root } = parsePnpmLock(text, { pkg, dev: true })
+        assert.deepEqual(Object.keys(root.deps), ['minimist'])
+    })
+
+    test(`${lockVersion}: prod`, () => {
+        const { root } = parsePnpmLock(text, { pkg, prod: true })
+        assert.ok(!('minimist' in root.deps))
+        assert.ok('react' in root.deps)
+    })
+}
+
+test('unsupported lockfile version', () => {
+    assert.throws(() => parsePnpmLock("lockfileVersion: '5.4'\n"), /unsupported pnpm-lock.yaml version 5.4/)
+})
+
+test('linked dependencies are skipped with a warning', () => {
+    const text = [
+        "lockfileVersion: '9.0'",
+        'importers:',
+        '  .:',
+        '    dependencies:',
+        '      foo:',
+        '        specifier: link:../foo',
+        '        version: link:../foo',
+    ].join('\n')
+    const { root, warnings } = parsePnpmLock(text, { pkg })
+    assert.deepEqual(root.deps, {})
+    assert.match(warnings[0], /foo: linked dependencies are not supported: link:..\/foo/)
+})
@@ -0,0 +1,77 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import assert from "assert";
+import { test } from "node:test";
+
+import { parsePreInstallLinks, preInstallLinksFor, addPreInstallLinks } from "./preInstallLinks.js";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_pre_install_links-'))
+
+try {
+    const yamlText = [
+        '# prebuilt binaries',
+        'sharp@^0.32.0:',
+        '  build/Release/sharp.node: /nix/store/x-sharp/sharp.node',
+        '"@scope/native":',
+        '  build: ./prebuilt/native',
+        'sharp@0.33.0:',
+        '  vendor: /nix/store/x-libvips',
+        '',
+    ].join('\n')
+    const rules = parsePreInstallLinks(yamlText, '/config/links.yaml')
+
+    await test('parse yaml config', () => {
+        assert.deepEqual(rules.map(r => [r.name, r.range]), [['sharp', '^0.32.0'], ['@scope/native', null], ['sharp', '0.33.0']])
+        // relative to the config file
+        assert.deepEqual(rules[1].links, [['build', '/config/prebuilt/native']])
+    })
+
+    await test('parse json config', () => {
+        const jsonRules = parsePreInstallLinks(JSON.stringify({ a: { 'lib/./x.so': '/x.so' } }), '/config/links.json')
+        assert.deepEqual(jsonRules, [{ key: 'a', name: 'a', range: null, links: [['lib/x.so', '/x.so']] }])
+    })
+
+    await test('reject invalid config', () => {
+        assert.throws(() => parsePreInstallLinks('a:\n  ../x: /x\n', 'links.yaml'), /a: link path must be inside the package: ..\/x/)
+        assert.throws(() => parsePreInstallLinks('a@not a range:\n  x: /x\n', 'links.yaml'), /invalid version range not a range/)
+        assert.throws(() => parsePreInstallLinks('a: /x\n', 'links.yaml'), /a: expected a map of link paths/)
+    })
+
+    await test('match by name and version range', () => {
+        assert.deepEqual(preInstallLinksFor(rules, 'sharp', '0.32.6'), [['build/Release/sharp.node', '/nix/store/x-sharp/sharp.node']])
+        assert.deepEqual(preInstallLinksFor(rules, 'sharp', '0.33.0'), [['vendor', '/nix/store/x-libvips']])
+        assert.deepEqual(preInstallLinksFor(rules, '@scope/native', '1.0.0'), [['build', '/config/prebuilt/native']])
+        assert.deepEqual(preInstallLinksFor(rules, 'other', '1.0.0'), [])
+    })
+
+    await test('collision of two rules', () => {
+        const rules = parsePreInstallLinks('a:\n  x: /one\na@1:\n  x: /two\n', 'links.yaml')
+        assert.deepEqual(preInstallLinksFor(rules, 'a', '2.0.0'), [['x', '/one']])
+        assert.throws(() => preInstallLinksFor(rules, 'a', '1.0.0'), /preInstallLinks collision on a@1.0.0: x\na: \/one\na@1: \/two/)
+    })
+
+    await test('add links, replace files and directories', () => {
+        const pkgDir = `${tmpDir}/pkg`
+        fs.mkdirSync(`${pkgDir}/build/Release`, { recursive: true })
+        fs.writeFileSync(`${pkgDir}/build/Release/old.node`, '')
+        fs.writeFileSync(`${pkgDir}/file.js`, '')
+        const links = [['build', '/nix/store/x-build'], ['file.js', '/nix/store/x-file.js'], ['new/dir/x', '/nix/store/x']]
+        const result = addPreInstallLinks(pkgDir, links)
+        assert.deepEqual(result.map(r => r.replaced), ['directory', 'file', null])
+        assert.equal(fs.readlinkSync(`${pkgDir}/build`), '/nix/store/x-build')
+        assert.equal(fs.readlinkSync(`${pkgDir}/new/dir/x`), '/nix/store/x')
+        // again: nothing to replace
+        assert.deepEqual(addPreInstallLinks(pkgDir, links).map(r => r.replaced), [null, null, null])
+    })
+
+    await test('parent path is a file', () => {
+        const pkgDir = `${tmpDir}/pkg2`
+        fs.mkdirSync(pkgDir)
+        fs.writeFileSync(`${pkgDir}/lib`, '')
+        assert.throws(() => addPreInstallLinks(pkgDir, [['lib/x.so', '/x.so']]), /failed to add preInstallLinks symlink .*pkg2\/lib\/x.so -> \/x.so/)
+    })
+}
+finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+}
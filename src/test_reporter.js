@@ -0,0 +1,85 @@
+import assert from "assert";
+import { test } from "node:test";
+
+import { createReporter, formatEvent, formatSummary, formatProgress } from "./reporter.js";
+
+// stream with isTTY, which collects the written text
+function makeStream(isTTY = false) {
+    const stream = { isTTY, text: '', write: data => { stream.text += data } }
+    return stream
+}
+
+const summary = {
+    type: 'summary', name: 'root@1.0.0', seconds: 1.5, upToDate: false,
+    installed: 12, reused: 0, removed: 2, scripts: 3, ignoredScripts: [],
+    collisions: ['node_modules/.bin/x: a@1.0.0 wins over b@1.0.0'],
+    skippedOptional: 1, peerIssues: 0, overrideIssues: 0, contentStore: null,
+}
+
+test('format events like the old output', () => {
+    assert.equal(formatEvent({ type: 'warning', message: 'x' }), 'WARNING: x')
+    assert.equal(formatEvent({ type: 'link', target: '../x', path: 'node_modules/x' }), 'symlink: ../x -> node_modules/x')
+    assert.equal(formatEvent({ type: 'added', name: 'string-width', version: '4.2.3', linkName: 'string-width-cjs' }), '+ string-width@4.2.3 as string-width-cjs')
+    assert.equal(formatEvent({ type: 'added', name: 'a', version: '1.0.0', linkName: 'a' }), '+ a@1.0.0')
+    assert.equal(formatEvent({ type: 'script', name: 'a@1.0.0', script: 'postinstall', command: 'node x' }), '> a@1.0.0 postinstall: node x')
+    assert.equal(formatEvent({ type: 'progress', done: 1, total: 2 }), null)
+})
+
+test('summary', () => {
+    assert.deepEqual(formatSummary(summary), [
+        'root@1.0.0: installed 12 node modules in 1.50 seconds. skipped 1 optional dependencies, 1 collisions in node_modules/.bin, ran 3 lifecycle scripts',
+        'root@1.0.0: removed 2 packages of the last install',
+        'root@1.0.0: 1 collisions in node_modules/.bin:',
+        '  node_modules/.bin/x: a@1.0.0 wins over b@1.0.0',
+    ])
+    assert.deepEqual(formatSummary({ name: 'root@1.0.0', seconds: 0.1, upToDate: true }), [
+        'root@1.0.0: node_modules is up to date. done in 0.10 seconds',
+    ])
+})
+
+test('default and silent reporters', () => {
+    const stdout = makeStream()
+    const stderr = makeStream()
+    const reporter = createReporter('default', stdout, stderr)
+    reporter.report({ type: 'info', message: 'a' })
+    reporter.report({ type: 'error', message: 'b' })
+    reporter.report({ type: 'progress', done: 1, total: 2 })
+    assert.equal(stdout.text, 'a\n')
+    assert.equal(stderr.text, 'b\n')
+    assert.doesNotThrow(() => createReporter('silent').report({ type: 'info', message: 'a' }))
+    assert.throws(() => createReporter('fancy'), /invalid reporter fancy/)
+})
+
+test('ndjson reporter', () => {
+    const stdout = makeStream()
+    const reporter = createReporter('ndjson', stdout)
+    reporter.report({ type: 'unpack', name: 'a@1.0.0', archive: 'a.tgz', path: 'node_modules/.pnpm/a@1.0.0/node_modules/a' })
+    reporter.report({ type: 'progress', done: 1, total: 1 })
+    reporter.report({ type: 'warning', message: 'x' })
+    assert.deepEqual(stdout.text.trim().split('\n').map(line => JSON.parse(line).type), ['unpack', 'warning'])
+})
+
+test('progress reporter', () => {
+    assert.equal(formatProgress(1, 4, 8), '[##------] 1/4 packages')
+    assert.equal(formatProgress(0, 0, 4), '[----] 0/0 packages')
+
+    const tty = makeStream(true)
+    const reporter = createReporter('progress', tty, tty)
+    reporter.report({ type: 'link', target: '../x', path: 'x' })
+    reporter.report({ type: 'progress', done: 1, total: 2 })
+    reporter.report({ type: 'warning', message: 'x' })
+    reporter.report(summary)
+    // the bar is cleared before other lines, and removed by the summary
+    assert.equal(tty.text, [
+        '[##########----------] 1/2 packages',
+        '\r\x1b[KWARNING: x\n[##########----------] 1/2 packages',
+        `\r\x1b[K${formatSummary(summary).join('\n')}\n`,
+    ].join(''))
+
+    // no terminal: no bar
+    const file = makeStream(false)
+    const fileReporter = createReporter('progress', file, file)
+    fileReporter.report({ type: 'progress', done: 1, total: 2 })
+    fileReporter.report({ type: 'warning', message: 'x' })
+    assert.equal(file.text, 'WARNING: x\n')
+})
@@ -0,0 +1,127 @@
+import fs from "fs";
+import os from "os";
+import http from "http";
+import path from "path";
+import assert from "assert";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+
+import { fileResolver, mirrorResolver, httpResolver, resolveDep } from "./resolvers.js";
+
+const testMaterials = path.join(path.dirname(fileURLToPath(import.meta.url)), 'test_materials')
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_resolvers-'))
+
+const dep = {
+    name: 'proxy-from-env',
+    version: '1.1.0',
+    resolved: 'https://mirrors.tencent.com/npm/proxy-from-env/-/proxy-from-env-1.1.0.tgz',
+}
+
+try {
+    await test('file: absolute, file://, relative', async () => {
+        const resolvers = [fileResolver(testMaterials)]
+        const expected = { type: 'tarball', path: `${testMaterials}/minimist-1.2.8.tgz` }
+        for (const resolved of [
+            `${testMaterials}/minimist-1.2.8.tgz`,
+            `file://${testMaterials}/minimist-1.2.8.tgz`,
+            'file:minimist-1.2.8.tgz',
+            './minimist-1.2.8.tgz',
+            '../test_materials/minimist-1.2.8.tgz',
+        ]) {
+            assert.deepEqual(await resolveDep(resolvers, { ...dep, resolved }), expected)
+        }
+        assert.deepEqual(await resolveDep(resolvers, { ...dep, resolved: testMaterials }), { type: 'directory', path: testMaterials })
+        await assert.rejects(resolveDep(resolvers, { ...dep, resolved: './missing.tgz' }), /not found/)
+    })
+
+    await test('mirror: flat layout', async () => {
+        const resolvers = [fileResolver(), mirrorResolver([tmpDir, testMaterials])]
+        assert.deepEqual(await resolveDep(resolvers, dep), { type: 'tarball', path: `${testMaterials}/proxy-from-env-1.1.0.tgz` })
+    })
+
+    await test('mirror: registry layout', async () => {
+        const mirror = `${tmpDir}/mirror`
+        fs.mkdirSync(`${mirror}/@scope/x/-`, { recursive: true })
+        fs.copyFileSync(`${testMaterials}/minimist-1.2.8.tgz`, `${mirror}/@scope/x/-/x-1.0.0.tgz`)
+        const scoped = { name: '@scope/x', version: '1.0.0', resolved: 'https://registry.npmjs.org/@scope/x/-/x-1.0.0.tgz' }
+        assert.deepEqual(await resolveDep([mirrorResolver([mirror])], scoped), { type: 'tarball', path: `${mirror}/@scope/x/-/x-1.0.0.tgz` })
+    })
+
+    await test('not found', async () => {
+        await assert.rejects(resolveDep([fileResolver(), mirrorResolver([tmpDir])], dep), /cannot resolve .*\n.*file, mirror\nhint/)
+        await assert.rejects(resolveDep([fileResolver()], { ...dep, resolved: undefined }), /no resolved value/)
+    })
+
+    await test('http: local registry', async () => {
+        const requests = []
+        const server = http.createServer((req, res) => {
+            requests.push(req.url)
+            if (req.url == '/proxy-from-env/-/proxy-from-env-1.1.0.tgz') {
+                res.end(fs.readFileSync(`${testMaterials}/proxy-from-env-1.1.0.tgz`))
+            } else {
+                res.statusCode = 404
+                res.end()
+            }
+        })
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+        const registry = `http://127.0.0.1:${server.address().port}/`
+        try {
+            const downloadDir = `${tmpDir}/download`
+            const resolvers = [httpResolver({ registry, downloadDir })]
+            const source = await resolveDep(resolvers, dep)
+            assert.equal(source.type, 'tarball')
+            assert.deepEqual(fs.readFileSync(source.path), fs.readFileSync(`${testMaterials}/proxy-from-env-1.1.0.tgz`))
+            await assert.rejects(resolveDep(resolvers, { ...dep, version: '9.9.9', resolved: dep.resolved.replace(/1\.1\.0/g, '9.9.9') }), /HTTP 404/)
+            assert.deepEqual(requests, ['/proxy-from-env/-/proxy-from-env-1.1.0.tgz', '/proxy-from-env/-/proxy-from-env-9.9.9.tgz'])
+        }
+        finally {
+            server.close()
+        }
+    })
+
+    await test('http: one download per URL, timeout, no partial files', async () => {
+        const requests = []
+        const server = http.createServer((req, res) => {
+            requests.push(req.url)
+            const data = fs.readFileSync(`${testMaterials}/proxy-from-env-1.1.0.tgz`)
+            if (req.url.includes('-1.1.0.tgz')) {
+                // slow, so both resolves wait for the same download
+                setTimeout(() => res.end(data), 50)
+            } else if (req.url.includes('-2.0.0.tgz')) {
+                // part of the body, then the connection is lost
+                res.writeHead(200, { 'content-length': data.length })
+                res.write(data.subarray(0, 100), () => res.destroy())
+            } else {
+                // no data
+                res.writeHead(200)
+            }
+        })
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+        const registry = `http://127.0.0.1:${server.address().port}/`
+        try {
+            const downloadDir = `${tmpDir}/download-once`
+            const resolvers = [httpResolver({ registry, downloadDir, timeout: 200 })]
+            // two peer variants of the same package
+            const [a, b] = await Promise.all([
+                resolveDep(resolvers, { ...dep, peerSuffix: '(react@17.0.2)' }),
+                resolveDep(resolvers, { ...dep, peerSuffix: '(react@18.2.0)' }),
+            ])
+            assert.equal(a.path, b.path)
+            assert.deepEqual(fs.readFileSync(a.path), fs.readFileSync(`${testMaterials}/proxy-from-env-1.1.0.tgz`))
+            assert.equal(requests.length, 1)
+
+            const at = version => ({ ...dep, version, resolved: dep.resolved.replace(/1\.1\.0/g, version) })
+            await assert.rejects(resolveDep(resolvers, at('2.0.0')), /download failed: .*proxy-from-env-2\.0\.0\.tgz/)
+            await assert.rejects(resolveDep(resolvers, at('3.0.0')), /download failed: .*: no data for 200 ms/)
+            assert.deepEqual(fs.readdirSync(downloadDir), [path.basename(a.path)])
+        }
+        finally {
+            server.closeAllConnections()
+            server.close()
+        }
+    })
+}
+finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+}
@@ -0,0 +1,82 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import assert from "assert";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+
+import { storeKey, storePackage, importPackage, breakHardlinks } from "./store.js";
+
+const testMaterials = path.join(path.dirname(fileURLToPath(import.meta.url)), 'test_materials')
+
+// integrity from src/test_materials/package-lock.json
+const archive = `${testMaterials}/proxy-from-env-1.1.0.tgz`
+const integrity = 'sha512-D+zkORCbA9f1tdWRK0RaCR3GPv50cMxcrz4X8k5LTSUD1Dkw47mKJEZQNunItRTkWwgtaUSo1RVFRIG9ZXiFYg=='
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_store-'))
+const storeDir = `${tmpDir}/store`
+
+try {
+    await test('store key', async () => {
+        assert.match(storeKey(integrity), /^sha512\/0fece439109b[0-9a-f]{116}$/)
+        assert.equal(storeKey(''), null)
+    })
+
+    await test('add once, reuse', async () => {
+        const first = await storePackage(storeDir, archive, { integrity })
+        assert.equal(first.added, true)
+        assert.equal(first.storePath, `${storeDir}/v1/${storeKey(integrity)}`)
+        assert.ok(fs.existsSync(`${first.storePath}/package.json`))
+        // the tarball is not read on a store hit
+        const second = await storePackage(storeDir, '/does/not/exist.tgz', { integrity })
+        assert.deepEqual(second, { storePath: first.storePath, added: false })
+        assert.deepEqual(fs.readdirSync(`${storeDir}/v1/tmp`), [])
+    })
+
+    await test('verify before adding', async () => {
+        const badIntegrity = 'sha512-' + Buffer.alloc(64).toString('base64')
+        await assert.rejects(storePackage(storeDir, archive, { integrity: badIntegrity }), /integrity mismatch/)
+        assert.ok(!fs.existsSync(`${storeDir}/v1/${storeKey(badIntegrity)}`))
+    })
+
+    await test('hardlink to project', async () => {
+        const { storePath } = await storePackage(storeDir, archive, { integrity })
+        const to = `${tmpDir}/project/node_modules/.pnpm/proxy-from-env@1.1.0/node_modules/proxy-from-env`
+        await importPackage(storePath, to, 'hardlink')
+        assert.equal(fs.statSync(`${to}/index.js`).ino, fs.statSync(`${storePath}/index.js`).ino)
+        // import again over existing files
+        await importPackage(storePath, to, 'copy')
+        assert.notEqual(fs.statSync(`${to}/index.js`).ino, fs.statSync(`${storePath}/index.js`).ino)
+        assert.equal(fs.readFileSync(`${to}/index.js`, 'utf8'), fs.readFileSync(`${storePath}/index.js`, 'utf8'))
+    })
+
+    await test('break hardlinks before writing', async () => {
+        const { storePath } = await storePackage(storeDir, archive, { integrity })
+        const to = `${tmpDir}/build/node_modules/.pnpm/proxy-from-env@1.1.0/node_modules/proxy-from-env`
+        await importPackage(storePath, to, 'hardlink')
+        const mode = fs.statSync(`${to}/index.js`).mode
+        // a file of the package with the name of a temporary file
+        fs.writeFileSync(`${to}/index.js.tmp`, 'shipped\n')
+        await breakHardlinks(to)
+        assert.equal(fs.readFileSync(`${to}/index.js.tmp`, 'utf8'), 'shipped\n')
+        assert.notEqual(fs.statSync(`${to}/index.js`).ino, fs.statSync(`${storePath}/index.js`).ino)
+        assert.equal(fs.statSync(`${to}/index.js`).mode, mode)
+        fs.appendFileSync(`${to}/index.js`, '// patched\n')
+        assert.doesNotMatch(fs.readFileSync(`${storePath}/index.js`, 'utf8'), /patched/)
+        assert.deepEqual(fs.readdirSync(to).filter(name => name.endsWith('.tmp')), ['index.js.tmp'])
+    })
+
+    await test('copy symlinks as symlinks', async () => {
+        const from = `${tmpDir}/with-links`
+        fs.mkdirSync(`${from}/build`, { recursive: true })
+        fs.symlinkSync('/nix/store/x-prebuilt', `${from}/build/Release`)
+        fs.symlinkSync('build', `${from}/dir-link`)
+        const to = `${tmpDir}/with-links-copy`
+        await importPackage(from, to, 'copy')
+        assert.equal(fs.readlinkSync(`${to}/build/Release`), '/nix/store/x-prebuilt')
+        assert.equal(fs.readlinkSync(`${to}/dir-link`), 'build')
+    })
+}
+finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+}
@@ -1,22 +1,96 @@
 import fs from "fs";
-import child_process from "child_process";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import assert from "assert";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+
+import { unpackTar } from "./unpackTar.js";
+import { tarEntry, tgz } from "./testFixtures.js";
+
+const testMaterials = path.join(path.dirname(fileURLToPath(import.meta.url)), 'test_materials')
 
 // const resolved = 'https://registry.npmjs.org/minimist/-/minimist-1.2.8.tgz'
-const resolved = './src/test_materials/minimist-1.2.8.tgz'
-const unpackDir = '.pnpm/minimist@1.2.8/node_modules/minimist'
+const resolved = `${testMaterials}/minimist-1.2.8.tgz`
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test_unpack_tar-'))
+
+// one output directory per test
+const testDir = t => path.join(tmpDir, t.name.replace(/\W+/g, '-'))
+
+try {
+    await test('unpack minimist fixture', async t => {
+        const to = testDir(t)
+        const unpackDir = `${to}/.pnpm/minimist@1.2.8/node_modules/minimist`
+        await unpackTar(resolved, unpackDir)
+        const pkg = JSON.parse(fs.readFileSync(`${unpackDir}/package.json`, 'utf8'))
+        assert.equal(pkg.name, 'minimist')
+        assert.equal(pkg.version, '1.2.8')
+        assert.ok(fs.existsSync(`${unpackDir}/test/all_bool.js`))
+        // "package/" is stripped
+        assert.ok(!fs.existsSync(`${unpackDir}/package`))
+    })
+
+    await test('keep file modes', async t => {
+        const to = testDir(t)
+        const data = tgz(
+            tarEntry('package/bin/cli.js', '#!/usr/bin/env node\n', { mode: 0o755 }),
+            tarEntry('package/readme.md', 'hello\n', { mode: 0o644 }),
+        )
+        await unpackTar(null, to, { data })
+        assert.equal(fs.statSync(`${to}/bin/cli.js`).mode & 0o777, 0o755)
+        assert.equal(fs.statSync(`${to}/readme.md`).mode & 0o777, 0o644)
+        assert.equal(fs.readFileSync(`${to}/readme.md`, 'utf8'), 'hello\n')
+    })
+
+    await test('strip any first component', async t => {
+        const to = testDir(t)
+        const data = tgz(tarEntry('node-foo/index.js', 'x'))
+        await unpackTar(null, to, { data })
+        assert.ok(fs.existsSync(`${to}/index.js`))
+    })
+
+    await test('ignore symlinks', async t => {
+        const to = testDir(t)
+        const data = tgz(tarEntry('package/link', '', { type: '2' }))
+        await unpackTar(null, to, { data })
+        assert.ok(!fs.existsSync(`${to}/link`))
+    })
+
+    await test('reject parent path', async t => {
+        const to = testDir(t)
+        const data = tgz(tarEntry('package/../../evil.js', 'x'))
+        await assert.rejects(unpackTar(null, to, { data }), /outside of target directory/)
+        assert.ok(!fs.existsSync(path.join(to, '../evil.js')))
+    })
 
+    await test('reject absolute path', async t => {
+        const to = testDir(t)
+        const data = tgz(tarEntry('/tmp/evil.js', 'x'))
+        await assert.rejects(unpackTar(null, to, { data }), /absolute path/)
+    })
 
-const spawn = (args, opts) => child_process.spawnSync(args[0], args.slice(1), { stdio: 'inherit', ...opts });
+    await test('reject truncated gzip', async t => {
+        const to = testDir(t)
+        const data = fs.readFileSync(resolved)
+        await assert.rejects(unpackTar(null, to, { data: data.subarray(0, data.length / 2) }), /truncated or corrupt gzip/)
+    })
 
-const unpack = (archive, to) => {
-    fs.mkdirSync(to, { recursive: true });
-    spawn([
-        'tar',
-        '-x',
-        '-f', archive,
-        '-C', to,
-        '--strip-components=1', // first component is always "package"
-    ]);
-};
+    await test('reject truncated tar', async t => {
+        const to = testDir(t)
+        const entry = tarEntry('package/index.js', 'x'.repeat(2000))
+        const data = zlib.gzipSync(entry.subarray(0, 1024))
+        await assert.rejects(unpackTar(null, to, { data }), /truncated tar archive/)
+    })
 
-unpack(resolved, unpackDir)
+    await test('reject corrupt header', async t => {
+        const to = testDir(t)
+        const entry = tarEntry('package/index.js', 'x')
+        entry[0] = 'y'.charCodeAt(0)
+        await assert.rejects(unpackTar(null, to, { data: tgz(entry) }), /checksum mismatch/)
+    })
+}
+finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+}
@@ -0,0 +1,56 @@
+import assert from "assert";
+import { test } from "node:test";
+
+import { walk_deptree, walk_lockgraph } from "./walk.js";
+
+// "parent > child" for every call of enter, like the symlinks of install
+async function collectLinks(walk) {
+    const links = []
+    await walk(async (dep, recurse, depPath) => {
+        const parent = depPath[depPath.length - 2]
+        links.push(`${parent ? parent.name : ''} > ${dep.name}`)
+        await recurse()
+    })
+    return links.sort()
+}
+
+// diamond: root -> a, b -> c -> d
+// cycle: root -> e -> f -> e
+const edges = { root: ['a', 'b', 'e'], a: ['c'], b: ['c'], c: ['d'], d: [], e: ['f'], f: ['e'] }
+
+function makeTree() {
+    const nodes = {}
+    for (const name of Object.keys(edges)) nodes[name] = { name, version: '1.0.0', peerSuffix: '', dependencies: {} }
+    for (const [name, children] of Object.entries(edges)) {
+        for (const child of children) nodes[name].dependencies[child] = nodes[child]
+    }
+    return nodes.root
+}
+
+function makeLockgraph() {
+    const depsOf = name => Object.fromEntries(edges[name].map(child => [child, `${child}@1.0.0`]))
+    const nodes = {}
+    for (const name of Object.keys(edges)) {
+        if (name != 'root') nodes[`${name}@1.0.0`] = { name, version: '1.0.0', peerSuffix: '', deps: depsOf(name) }
+    }
+    return { root: { name: 'root', version: '1.0.0', deps: depsOf('root') }, nodes }
+}
+
+for (const [name, walk] of [
+    ['walk_deptree', (enter, pathKey) => walk_deptree(makeTree(), enter, pathKey)],
+    ['walk_lockgraph', (enter, pathKey) => walk_lockgraph(makeLockgraph(), enter, pathKey)],
+]) {
+    test(`${name}: diamond and cycle`, async () => {
+        // every parent gets its link: c for a and for b, e for root and for f
+        // but the children are walked once: d for c, f for e
+        assert.deepEqual(await collectLinks(walk), [' > root', 'a > c', 'b > c', 'c > d', 'e > f', 'f > e', 'root > a', 'root > b', 'root > e'])
+    })
+
+    test(`${name}: children once per path key`, async () => {
+        // the path without the cycle, so the walk ends
+        const pathKey = depPath => depPath.slice(1, -1).map(dep => dep.name).filter(name => name != 'e' && name != 'f').join(' > ')
+        const links = await collectLinks(enter => walk(enter, pathKey))
+        // c is walked for a and for b
+        assert.deepEqual(links.filter(link => link == 'c > d'), ['c > d', 'c > d'])
+    })
+}
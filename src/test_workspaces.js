@@ -0,0 +1,41 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import assert from "assert";
+import { test } from "node:test";
+
+import { workspacePatterns, findWorkspaces } from "./workspaces.js";
+
+test('workspace patterns', () => {
+    assert.deepEqual(workspacePatterns({}), [])
+    assert.deepEqual(workspacePatterns({ workspaces: ['packages/*'] }), ['packages/*'])
+    assert.deepEqual(workspacePatterns({ workspaces: { packages: ['packages/*'], nohoist: ['**/x'] } }), ['packages/*'])
+    assert.throws(() => workspacePatterns({ workspaces: 'packages/*' }), /invalid "workspaces"/)
+})
+
+test('find workspaces', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'test_workspaces-'))
+    try {
+        const addPackage = dir => {
+            fs.mkdirSync(`${tmp}/${dir}`, { recursive: true })
+            fs.writeFileSync(`${tmp}/${dir}/package.json`, '{}')
+        }
+        addPackage('packages/foo')
+        addPackage('packages/bar')
+        addPackage('packages/skip')
+        addPackage('packages/foo/node_modules/x')
+        addPackage('tools/cli')
+        addPackage('apps/web/site')
+        // no package.json
+        fs.mkdirSync(`${tmp}/packages/docs`)
+
+        assert.deepEqual(findWorkspaces(tmp, ['packages/*', 'tools/cli', '!packages/skip']), ['packages/bar', 'packages/foo', 'tools/cli'])
+        assert.deepEqual(findWorkspaces(tmp, ['apps/**']), ['apps/web/site'])
+        assert.deepEqual(findWorkspaces(tmp, ['./packages/b*']), ['packages/bar'])
+        assert.deepEqual(findWorkspaces(tmp, ['missing/*']), [])
+        assert.throws(() => findWorkspaces(tmp, ['../x']), /inside the root package/)
+    }
+    finally {
+        fs.rmSync(tmp, { recursive: true, force: true })
+    }
+})
@@ -0,0 +1,173 @@
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+
+import { parseYarnLock, parseYarnClassic } from "./yarnLock.js";
+
+const testMaterials = path.join(path.dirname(fileURLToPath(import.meta.url)), 'test_materials', 'yarn')
+
+// generated by yarn 1 and yarn 4 from test_materials/yarn/package.json
+const lockV1 = fs.readFileSync(`${testMaterials}/yarn-v1.lock`, 'utf8')
+const lockBerry = fs.readFileSync(`${testMaterials}/yarn-berry.lock`, 'utf8')
+const pkg = JSON.parse(fs.readFileSync(`${testMaterials}/package.json`, 'utf8'))
+
+test('classic: parse entries with multiple keys', () => {
+    const entries = parseYarnClassic([
+        '# yarn lockfile v1',
+        '',
+        '"a@^1.0.0", a@^1.1.0:',
+        '  version "1.2.0"',
+        '  dependencies:',
+        '    "@b/c" "^2.0.0"',
+        '',
+    ].join('\n'))
+    assert.equal(entries['a@^1.0.0'], entries['a@^1.1.0'])
+    assert.deepEqual(entries['a@^1.0.0'], { version: '1.2.0', dependencies: { '@b/c': '^2.0.0' } })
+})
+
+for (const [format, text] of [['classic', lockV1], ['berry', lockBerry]]) {
+    test(`${format}: root dependencies`, () => {
+        const { root, warnings } = parseYarnLock(text, { pkg })
+        assert.deepEqual(warnings, [])
+        assert.equal(root.name, 'pnpm-lock-test')
+        assert.deepEqual(root.deps, {
+            '@esbuild/darwin-arm64': '@esbuild/darwin-arm64@0.19.0',
+            '@esbuild/linux-x64': '@esbuild/linux-x64@0.19.0',
+            'minimist': 'minimist@1.2.8',
+            'proxy-from-env': 'proxy-from-env@1.1.0',
+            'react': 'react@18.2.0',
+            // npm alias
+            'string-width-cjs': 'string-width@4.2.3',
+            'use-sync-external-store': 'use-sync-external-store@1.2.0',
+        })
+    })
+
+    test(`${format}: nested dependencies`, () => {
+        const { nodes } = parseYarnLock(text, { pkg })
+        const node = nodes['string-width@4.2.3']
+        assert.equal(node.name, 'string-width')
+        assert.deepEqual(node.deps, {
+            'emoji-regex': 'emoji-regex@8.0.0',
+            'is-fullwidth-code-point': 'is-fullwidth-code-point@3.0.0',
+            'strip-ansi': 'strip-ansi@6.0.1',
+        })
+        // "js-tokens@^3.0.0 || ^4.0.0"
+        assert.deepEqual(nodes['loose-envify@1.4.0'].deps, { 'js-tokens': 'js-tokens@4.0.0' })
+        assert.equal(nodes['@esbuild/linux-x64@0.19.0'].optional, true)
+        assert.equal(nodes['react@18.2.0'].optional, false)
+    })
+
+    test(`${format}: dev`, () => {
+        const { root } = parseYarnLock(text, { pkg, dev: true })
+        assert.deepEqual(Object.keys(root.deps), ['minimist'])
+    })
+
+    test(`${format}: prod`, () => {
+        const { root } = parseYarnLock(text, { pkg, prod: true })
+        assert.ok(!('minimist' in root.deps))
+    })
+
+    test(`${format}: missing dependency`, () => {
+        const pkg2 = { ...pkg, dependencies: { ...pkg.dependencies, missing: '^1.0.0' } }
+        assert.throws(() => parseYarnLock(text, { pkg: pkg2 }), /pnpm-lock-test: missing@(npm:)?\^1.0.0 not found in yarn.lock/)
+    })
+}
+
+test('classic: resolved#hash and integrity', () => {
+    const { nodes } = parseYarnLock(lockV1, { pkg })
+    const node = nodes['react@18.2.0']
+    assert.equal(node.resolved, 'https://registry.yarnpkg.com/react/-/react-18.2.0.tgz')
+    assert.match(node.integrity, /^sha512-/)
+    assert.equal(parseYarnLock(lockV1, { pkg }).hasIntegrity, true)
+    // old lockfiles have no integrity field. then the sha1 after "#" is used
+    const old = lockV1.replace(/^ {2}integrity .*\n/gm, '')
+    assert.equal(parseYarnLock(old, { pkg }).nodes['react@18.2.0'].integrity, '555bd98592883255fa00de14f1151a917b5d77d5')
+})
+
+test('berry: resolution, checksum and conditions', () => {
+    const { nodes } = parseYarnLock(lockBerry, { pkg })
+    const node = nodes['react@18.2.0']
+    assert.equal(node.resolved, 'https://registry.npmjs.org/react/-/react-18.2.0.tgz')
+    // the checksum is a hash of the yarn cache zip, so it can not verify the tarball
+    assert.equal(node.integrity, '')
+    assert.equal(parseYarnLock(lockBerry, { pkg }).hasIntegrity, false)
+    assert.match(node.checksum, /^10c0\/b562d9b5/)
+    assert.deepEqual(nodes['@esbuild/darwin-arm64@0.19.0'].os, ['darwin'])
+    assert.deepEqual(nodes['@esbuild/darwin-arm64@0.19.0'].cpu, ['arm64'])
+})
+
+test('berry: unsupported resolutions are skipped with a warning', () => {
+    const text = lockBerry.replace('resolution: "react@npm:18.2.0"', 'resolution: "react@patch:react@npm%3A18.2.0#~/x.patch"')
+    const { root, warnings } = parseYarnLock(text, { pkg })
+    assert.ok(!('react' in root.deps))
+    assert.match(warnings[0], /react@npm:18.2.0: unsupported resolution react@patch:/)
+})
+
+// a has c as optional dependency, b requires c
+// c is only optional when every parent has it as optional dependency
+test('classic: optional per dependency edge', () => {
+    const lock = required => [
+        '# yarn lockfile v1',
+        '',
+        'a@1.0.0:',
+        '  version "1.0.0"',
+        '  optionalDependencies:',
+        '    c "1.0.0"',
+        '    missing "1.0.0"',
+        '',
+        'b@1.0.0:',
+        '  version "1.0.0"',
+        '  dependencies:',
+        `    ${required} "1.0.0"`,
+        '',
+        'c@1.0.0:',
+        '  version "1.0.0"',
+        '',
+    ].join('\n')
+    // in both orders of the root dependencies
+    for (const dependencies of [{ a: '1.0.0', b: '1.0.0' }, { b: '1.0.0', a: '1.0.0' }]) {
+        const { nodes } = parseYarnLock(lock('c'), { pkg: { name: 'root', dependencies } })
+        assert.equal(nodes['c@1.0.0'].optional, false)
+        // missing optional dependency of a
+        assert.deepEqual(nodes['a@1.0.0'].deps, { c: 'c@1.0.0' })
+        // missing required dependency of b
+        assert.throws(() => parseYarnLock(lock('missing'), { pkg: { name: 'root', dependencies } }), /b@1.0.0: missing@1.0.0 not found in yarn.lock/)
+    }
+    const { nodes } = parseYarnLock(lock('c'), { pkg: { name: 'root', dependencies: { a: '1.0.0' } } })
+    assert.equal(nodes['c@1.0.0'].optional, true)
+})
+
+test('berry: optional per dependency edge', () => {
+    const pkg = { name: 'root', dependencies: { a: '1.0.0', b: '1.0.0' } }
+    const text = [
+        '__metadata:',
+        '  version: 8',
+        '',
+        '"a@npm:1.0.0":',
+        '  version: 1.0.0',
+        '  resolution: "a@npm:1.0.0"',
+        '  dependencies:',
+        '    c: "npm:1.0.0"',
+        '  dependenciesMeta:',
+        '    c:',
+        '      optional: true',
+        '',
+        '"b@npm:1.0.0":',
+        '  version: 1.0.0',
+        '  resolution: "b@npm:1.0.0"',
+        '  dependencies:',
+        '    c: "npm:1.0.0"',
+        '',
+        '"c@npm:1.0.0":',
+        '  version: 1.0.0',
+        '  resolution: "c@npm:1.0.0"',
+        '  conditions: os=other',
+        '',
+    ].join('\n')
+    // required by b, so installed on other platforms with a warning
+    assert.equal(parseYarnLock(text, { pkg }).nodes['c@1.0.0'].optional, false)
+    const { nodes } = parseYarnLock(text, { pkg: { name: 'root', dependencies: { a: '1.0.0' } } })
+    assert.equal(nodes['c@1.0.0'].optional, true)
+})
@@ -0,0 +1,208 @@
+// minimal tar extractor for npm package tarballs (*.tgz)
+// replaces "tar -x -f archive.tgz --strip-components=1"
+// so we dont depend on GNU tar being installed
+//
+// tar format: https://www.gnu.org/software/tar/manual/html_node/Standard.html
+// pax format: https://pubs.opengroup.org/onlinepubs/9699919799/utilities/pax.html#tag_20_92_13_03
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+const gunzipAsync = promisify(zlib.gunzip);
+
+const blockSize = 512;
+
+// like npm, we only extract files and directories
+// symlinks, hardlinks, devices and fifos are ignored
+const typeFile = new Set(['0', '\0', '7']);
+const typeDirectory = '5';
+const typePaxHeader = 'x';
+const typePaxGlobalHeader = 'g';
+const typeGnuLongName = 'L';
+const typeGnuLongLink = 'K';
+
+// gunzip runs in the libuv threadpool, so we can unpack multiple tarballs in parallel
+export async function gunzip(buf, archiveName = 'archive') {
+  // tarballs are usually gzipped, but some registries serve plain tar
+  if (buf[0] != 0x1f || buf[1] != 0x8b) return buf;
+  try {
+    return await gunzipAsync(buf);
+  }
+  catch (error) {
+    throw new Error(`${archiveName}: truncated or corrupt gzip data: ${error.message}`);
+  }
+}
+
+// parse null-terminated string
+function readString(buf, offset, length) {
+  const end = buf.indexOf(0, offset);
+  return buf.toString('utf8', offset, (end == -1 || end > offset + length) ? offset + length : end);
+}
+
+// parse octal number, or base-256 number for large values
+function readNumber(buf, offset, length) {
+  if (buf[offset] & 0x80) {
+    let num = 0;
+    for (let i = 1; i < length; i++) num = num * 256 + buf[offset + i];
+    return num;
+  }
+  const str = readString(buf, offset, length).trim();
+  return str == '' ? 0 : parseInt(str, 8);
+}
+
+function isZeroBlock(buf, offset) {
+  for (let i = offset; i < offset + blockSize; i++) {
+    if (buf[i] != 0) return false;
+  }
+  return true;
+}
+
+function checksum(buf, offset) {
+  // the checksum field itself is counted as 8 spaces
+  let sum = 8 * 0x20;
+  for (let i = offset; i < offset + blockSize; i++) {
+    if (i >= offset + 148 && i < offset + 156) continue;
+    sum += buf[i];
+  }
+  return sum;
+}
+
+// parse pax records: "%d %s=%s\n" (length, key, value)
+function parsePax(buf) {
+  const result = {};
+  let offset = 0;
+  while (offset < buf.length) {
+    const space = buf.indexOf(0x20, offset);
+    if (space == -1) break;
+    const length = parseInt(buf.toString('utf8', offset, space), 10);
+    if (!(length > 0)) break;
+    const record = buf.toString('utf8', space + 1, offset + length - 1);
+    const eq = record.indexOf('=');
+    if (eq != -1) result[record.slice(0, eq)] = record.slice(eq + 1);
+    offset += length;
+  }
+  return result;
+}
+
+// yield the entries of an uncompressed tar archive
+// entry: { name, type, mode, linkname, data }
+export function* parseTar(buf, archiveName = 'archive') {
+  let offset = 0;
+  let paxGlobal = {};
+  let pax = null;
+  let longName = null;
+  let longLink = null;
+
+  while (offset + blockSize <= buf.length) {
+    if (isZeroBlock(buf, offset)) {
+      // end of archive
+      return;
+    }
+
+    const expectedSum = readNumber(buf, offset + 148, 8);
+    if (checksum(buf, offset) != expectedSum) {
+      throw new Error(`${archiveName}: invalid tar header at offset ${offset}: checksum mismatch`);
+    }
+
+    const header = offset;
+    const type = String.fromCharCode(buf[offset + 156]);
+    const size = readNumber(buf, offset + 124, 12);
+    const dataStart = offset + blockSize;
+    const dataEnd = dataStart + size;
+
+    let name = readString(buf, offset, 100);
+    const magic = readString(buf, offset + 257, 6);
+    if (magic == 'ustar') {
+      const prefix = readString(buf, offset + 345, 155);
+      if (prefix) name = `${prefix}/${name}`;
+    }
+
+    if (dataEnd > buf.length) {
+      throw new Error(`${archiveName}: truncated tar archive: entry ${name} needs ${size} bytes, found ${buf.length - dataStart}`);
+    }
+
+    const data = buf.subarray(dataStart, dataEnd);
+    offset = dataStart + Math.ceil(size / blockSize) * blockSize;
+
+    if (type == typePaxHeader) {
+      pax = parsePax(data);
+      continue;
+    }
+    if (type == typePaxGlobalHeader) {
+      paxGlobal = { ...paxGlobal, ...parsePax(data) };
+      continue;
+    }
+    if (type == typeGnuLongName) {
+      longName = readString(data, 0, data.length);
+      continue;
+    }
+    if (type == typeGnuLongLink) {
+      longLink = readString(data, 0, data.length);
+      continue;
+    }
+
+    const attrs = { ...paxGlobal, ...pax };
+    yield {
+      name: longName || attrs.path || name,
+      type,
+      mode: readNumber(buf, header + 100, 8),
+      linkname: longLink || attrs.linkpath || readString(buf, header + 157, 100),
+      data,
+    };
+    pax = null;
+    longName = null;
+    longLink = null;
+  }
+
+  if (offset < buf.length) {
+    throw new Error(`${archiveName}: truncated tar archive: incomplete header at offset ${offset}`);
+  }
+  // no end-of-archive blocks. GNU tar accepts this too
+}
+
+// remove the first {strip} path components, like "tar --strip-components"
+// throw when the path would escape the target directory
+function entryPath(name, strip, archiveName) {
+  const parts = name.replace(/\\/g, '/').split('/').filter(p => p != '' && p != '.');
+  if (name.startsWith('/') || /^[a-zA-Z]:/.test(name)) {
+    throw new Error(`${archiveName}: refusing to unpack absolute path ${name}`);
+  }
+  if (parts.includes('..')) {
+    throw new Error(`${archiveName}: refusing to unpack path outside of target directory: ${name}`);
+  }
+  return parts.slice(strip).join('/');
+}
+
+// unpack a tarball to a directory
+// the first path component is stripped. in npm tarballs, this is usually "package"
+// opts.strip: number of leading path components to remove
+// opts.data: archive content, when the caller has already read the archive file
+export async function unpackTar(archive, to, opts = {}) {
+  const strip = opts.strip ?? 1;
+  const buf = opts.data || await fs.promises.readFile(archive);
+  const tar = await gunzip(buf, archive);
+  await fs.promises.mkdir(to, { recursive: true });
+  let numFiles = 0;
+  for (const entry of parseTar(tar, archive)) {
+    const relPath = entryPath(entry.name, strip, archive);
+    if (relPath == '') continue;
+    const filePath = path.join(to, relPath);
+    if (entry.type == typeDirectory) {
+      await fs.promises.mkdir(filePath, { recursive: true, mode: (entry.mode & 0o777) | 0o700 });
+      continue;
+    }
+    if (!typeFile.has(entry.type)) continue;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // keep the file mode, but make sure that we can read and write the file
+    const mode = (entry.mode & 0o777) | 0o600;
+    // dont write through an old symlink
+    await fs.promises.rm(filePath, { force: true });
+    await fs.promises.writeFile(filePath, entry.data, { mode });
+    // writeFile applies the umask
+    await fs.promises.chmod(filePath, mode);
+    numFiles++;
+  }
+  return numFiles;
+}
@@ -0,0 +1,85 @@
+// walk the dependencies of a lockfile, from the root package to the leaves
+// enter(dep, recurse, depPath) is called once per parent of a package, so every parent gets its symlink
+// recurse() walks the children of dep. depPath is the list of packages from the root package to dep
+//
+// lockTree.js: package-lock.json, see walk_deptree
+// pnpmLock.js and yarnLock.js: "lockgraph", see walk_lockgraph
+
+// 遍历依赖树
+// walk a tree of lockTree.js
+// pathKey(depPath): optional. children are walked once per node and pathKey, see overridePathKey
+export async function walk_deptree(tree, enter, pathKey) {
+  const _seen = new Set()
+  async function walk(_this, depPath) {
+    depPath = depPath.concat([_this])
+    // every node is entered once per parent, so every parent gets its symlink
+    // but only the first visit walks the children of the node
+    // this also breaks cycles
+    // packages with peer dependencies have one node per set of peers
+    const nameVersion = `${_this.name}@${_this.version}${_this.peerSuffix}`
+    const seenKey = pathKey ? `${nameVersion}\0${pathKey(depPath)}` : nameVersion
+    const isFirstVisit = !_seen.has(seenKey)
+    _seen.add(seenKey)
+
+    async function recurse() {
+      if (!isFirstVisit) return
+      // 子包并行安装, 并发数由 enter 限制
+      await Promise.all(Object.keys(_this.dependencies || {}).map(async key => {
+        await walk(_this.dependencies[key], depPath);
+      }))
+    }
+    await enter(_this, recurse, depPath);
+  }
+  await walk(tree, []);
+}
+
+// walk a lockgraph, see pnpmLock.js
+// pathKey(depPath): optional. children are walked once per node and pathKey, see overridePathKey
+export async function walk_lockgraph(lockgraph, enter, pathKey, _seen = new Set(), depPath = []) {
+  const isRootPkg = depPath.length == 0
+
+  const dep = isRootPkg ? {
+    name: lockgraph.root.name,
+    linkName: lockgraph.root.name,
+    version: lockgraph.root.version,
+    resolved: '',
+    integrity: '',
+  } : depPath[depPath.length - 1]
+
+  if (isRootPkg) depPath[0] = dep;
+
+  const node = isRootPkg ? lockgraph.root : lockgraph.nodes[dep.id]
+
+  // enter every node once per parent, walk children once
+  // nodes are keyed by id, so every peer variant is walked
+  const key = (isRootPkg ? '' : dep.id) + (pathKey ? `\0${pathKey(depPath)}` : '')
+  const isFirstVisit = !_seen.has(key)
+  _seen.add(key)
+
+  async function recurse() {
+    if (!isFirstVisit) return
+    await Promise.all(Object.entries(node.deps).map(async ([linkName, childId]) => {
+      const child = lockgraph.nodes[childId]
+      if (!child) {
+        throw new Error(`${dep.name}@${dep.version}: missing dependency ${childId} in lockfile`)
+      }
+      const childDep = {
+        id: childId,
+        // npm alias: the link name differs from the package name
+        linkName,
+        name: child.name,
+        version: child.version,
+        peerSuffix: child.peerSuffix,
+        resolved: child.resolved,
+        integrity: child.integrity,
+        optional: child.optional,
+        os: child.os,
+        cpu: child.cpu,
+        libc: child.libc,
+      }
+      await walk_lockgraph(lockgraph, enter, pathKey, _seen, depPath.concat([childDep]))
+    }))
+  }
+
+  await enter(dep, recurse, depPath);
+}
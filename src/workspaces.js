@@ -0,0 +1,91 @@
+// workspaces of a monorepo, from "workspaces" in package.json
+// https://docs.npmjs.com/cli/v10/using-npm/workspaces
+//
+// { "workspaces": ["packages/*", "tools/cli"] }
+// { "workspaces": { "packages": ["packages/*"] } } (yarn)
+//
+// patterns are directory globs relative to the root package
+// "*" matches one path segment, "**" matches any number of segments
+// patterns starting with "!" exclude directories
+
+import fs from 'fs';
+import path from 'path';
+
+export function workspacePatterns(pkg) {
+  const workspaces = pkg.workspaces;
+  if (workspaces == null) return [];
+  const patterns = Array.isArray(workspaces) ? workspaces : workspaces.packages;
+  if (!Array.isArray(patterns) || patterns.some(p => typeof p != 'string')) {
+    throw new Error(`invalid "workspaces" in package.json. expected a list of paths`);
+  }
+  return patterns;
+}
+
+// "packages/*" -> regex for one segment
+function segmentRegex(segment) {
+  const source = segment.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*');
+  return new RegExp(`^${source}$`);
+}
+
+function listDirs(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      // hidden directories and node_modules are never workspaces
+      .filter(e => e.isDirectory() && !e.name.startsWith('.') && e.name != 'node_modules')
+      .map(e => e.name);
+  }
+  catch (error) {
+    if (error.code == 'ENOENT' || error.code == 'ENOTDIR') return [];
+    throw error;
+  }
+}
+
+// returns the relative paths of all directories matching the pattern
+function expandPattern(rootDir, pattern) {
+  const segments = path.posix.normalize(pattern).split('/').filter(s => s != '' && s != '.');
+  if (segments.some(s => s == '..')) {
+    throw new Error(`workspace must be inside the root package: ${pattern}`);
+  }
+  const result = [];
+  const walk = (relDir, index) => {
+    if (index == segments.length) {
+      result.push(relDir);
+      return;
+    }
+    const segment = segments[index];
+    const join = name => relDir ? `${relDir}/${name}` : name;
+    if (segment == '**') {
+      // zero or more segments
+      walk(relDir, index + 1);
+      for (const name of listDirs(path.join(rootDir, relDir))) walk(join(name), index);
+      return;
+    }
+    if (!segment.includes('*')) {
+      walk(join(segment), index + 1);
+      return;
+    }
+    const regex = segmentRegex(segment);
+    for (const name of listDirs(path.join(rootDir, relDir))) {
+      if (regex.test(name)) walk(join(name), index + 1);
+    }
+  };
+  walk('', 0);
+  return result;
+}
+
+// returns a sorted list of workspace directories, relative to rootDir
+// only directories with a package.json are workspaces
+export function findWorkspaces(rootDir, patterns) {
+  const dirs = new Set();
+  for (const pattern of patterns) {
+    if (pattern.startsWith('!')) continue;
+    for (const dir of expandPattern(rootDir, pattern)) {
+      if (dir != '' && fs.existsSync(path.join(rootDir, dir, 'package.json'))) dirs.add(dir);
+    }
+  }
+  for (const pattern of patterns) {
+    if (!pattern.startsWith('!')) continue;
+    for (const dir of expandPattern(rootDir, pattern.slice(1))) dirs.delete(dir);
+  }
+  return [...dirs].sort();
+}
@@ -0,0 +1,214 @@
+// minimal YAML parser for lockfiles (pnpm-lock.yaml, yarn berry yarn.lock)
+// supports block mappings, block sequences, flow mappings, flow sequences,
+// plain and quoted scalars, and comments.
+// not supported: anchors, aliases, tags, multi-line scalars, multiple documents
+// scalars are returned as strings, except true, false, null
+
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quote) {
+      if (c == '\\' && quote == '"') i++;
+      else if (c == quote) quote = null;
+    }
+    else if (c == '"' || c == "'") {
+      // quotes only start at the beginning of a scalar
+      if (i == 0 || /[\s:,[{-]/.test(line[i - 1])) quote = c;
+    }
+    else if (c == '#' && (i == 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function scalar(str, lineNum) {
+  str = str.trim();
+  if (str.startsWith("'")) {
+    if (!str.endsWith("'") || str.length < 2) throw yamlError('unterminated string', lineNum);
+    return str.slice(1, -1).replace(/''/g, "'");
+  }
+  if (str.startsWith('"')) {
+    if (!str.endsWith('"') || str.length < 2) throw yamlError('unterminated string', lineNum);
+    return JSON.parse(str);
+  }
+  if (str == 'true') return true;
+  if (str == 'false') return false;
+  if (str == 'null' || str == '~' || str == '') return null;
+  return str;
+}
+
+function yamlError(message, lineNum) {
+  return new Error(`yaml: line ${lineNum}: ${message}`);
+}
+
+// parse a flow collection like {a: b, c: [d, e]}
+function parseFlow(str, lineNum) {
+  let i = 0;
+  const skipSpace = () => { while (i < str.length && /\s/.test(str[i])) i++; };
+  function parseValue(terminators) {
+    skipSpace();
+    if (str[i] == '{') return parseMap();
+    if (str[i] == '[') return parseSeq();
+    let start = i;
+    if (str[i] == '"' || str[i] == "'") {
+      const quote = str[i++];
+      while (i < str.length && str[i] != quote) {
+        if (str[i] == '\\' && quote == '"') i++;
+        else if (str[i] == quote && str[i + 1] == quote) i++;
+        i++;
+      }
+      i++;
+      return scalar(str.slice(start, i), lineNum);
+    }
+    while (i < str.length && !terminators.includes(str[i])) {
+      // "a: b" but not "http://x"
+      if (str[i] == ':' && terminators.includes(':') && /\s/.test(str[i + 1] || ' ')) break;
+      i++;
+    }
+    return scalar(str.slice(start, i), lineNum);
+  }
+  function parseMap() {
+    const result = {};
+    i++; // {
+    skipSpace();
+    while (str[i] != '}') {
+      if (i >= str.length) throw yamlError('unterminated flow mapping', lineNum);
+      const key = parseValue([':', ',', '}']);
+      skipSpace();
+      let value = null;
+      if (str[i] == ':') {
+        i++;
+        value = parseValue([',', '}']);
+        skipSpace();
+      }
+      result[key] = value;
+      if (str[i] == ',') i++;
+      skipSpace();
+    }
+    i++; // }
+    return result;
+  }
+  function parseSeq() {
+    const result = [];
+    i++; // [
+    skipSpace();
+    while (str[i] != ']') {
+      if (i >= str.length) throw yamlError('unterminated flow sequence', lineNum);
+      result.push(parseValue([',', ']']));
+      skipSpace();
+      if (str[i] == ',') i++;
+      skipSpace();
+    }
+    i++; // ]
+    return result;
+  }
+  const result = parseValue([]);
+  skipSpace();
+  if (i < str.length) throw yamlError(`unexpected ${JSON.stringify(str.slice(i))}`, lineNum);
+  return result;
+}
+
+function parseInline(str, lineNum) {
+  str = str.trim();
+  if (str.startsWith('{') || str.startsWith('[')) return parseFlow(str, lineNum);
+  if (str == '|' || str == '>' || /^[|>][+-]?$/.test(str)) {
+    throw yamlError('multi-line scalars are not supported', lineNum);
+  }
+  return scalar(str, lineNum);
+}
+
+// split "key: value" at the first ": " outside of quotes
+function splitKey(text, lineNum) {
+  let i = 0;
+  if (text[0] == '"' || text[0] == "'") {
+    const quote = text[0];
+    i = 1;
+    while (i < text.length && text[i] != quote) {
+      if (text[i] == '\\' && quote == '"') i++;
+      else if (text[i] == quote && text[i + 1] == quote) i++;
+      i++;
+    }
+    i++;
+    if (text[i] != ':') throw yamlError(`expected ":" after key`, lineNum);
+  }
+  else {
+    while (i < text.length && !(text[i] == ':' && (i + 1 == text.length || text[i + 1] == ' '))) i++;
+    if (i == text.length) return null;
+  }
+  return [scalar(text.slice(0, i), lineNum), text.slice(i + 1)];
+}
+
+export function parseYaml(text) {
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, idx) => {
+    const line = stripComment(raw).replace(/\s+$/, '');
+    if (line.trim() == '' || line == '---') return;
+    if (/^\t/.test(line)) throw yamlError('tabs are not allowed for indentation', idx + 1);
+    const indent = line.length - line.trimStart().length;
+    lines.push({ indent, text: line.slice(indent), lineNum: idx + 1 });
+  });
+
+  let pos = 0;
+
+  function parseBlock(indent) {
+    const isSeq = lines[pos].text == '-' || lines[pos].text.startsWith('- ');
+    return isSeq ? parseSeq(indent) : parseMap(indent);
+  }
+
+  function parseNested(parentIndent, allowSeqAtSameIndent) {
+    const next = lines[pos];
+    if (!next) return null;
+    if (next.indent > parentIndent) return parseBlock(next.indent);
+    // "key:\n- a\n- b"
+    if (allowSeqAtSameIndent && next.indent == parentIndent && (next.text == '-' || next.text.startsWith('- '))) {
+      return parseSeq(parentIndent);
+    }
+    return null;
+  }
+
+  function parseMap(indent) {
+    const result = {};
+    while (pos < lines.length && lines[pos].indent == indent) {
+      const { text, lineNum } = lines[pos];
+      if (text == '-' || text.startsWith('- ')) break;
+      const split = splitKey(text, lineNum);
+      if (!split) throw yamlError(`expected "key: value", got ${JSON.stringify(text)}`, lineNum);
+      const [key, rest] = split;
+      pos++;
+      result[key] = (rest.trim() == '') ? parseNested(indent, true) : parseInline(rest, lineNum);
+    }
+    if (pos < lines.length && lines[pos].indent > indent) {
+      throw yamlError('unexpected indentation', lines[pos].lineNum);
+    }
+    return result;
+  }
+
+  function parseSeq(indent) {
+    const result = [];
+    while (pos < lines.length && lines[pos].indent == indent && (lines[pos].text == '-' || lines[pos].text.startsWith('- '))) {
+      const { text, lineNum } = lines[pos];
+      const rest = text.slice(1).replace(/^ +/, '');
+      if (rest == '') {
+        pos++;
+        result.push(parseNested(indent, false));
+      }
+      else if (splitKey(rest, lineNum) && !/^[[{"']/.test(rest)) {
+        // "- key: value" starts a mapping
+        lines[pos] = { indent: indent + text.length - rest.length, text: rest, lineNum };
+        result.push(parseMap(lines[pos].indent));
+      }
+      else {
+        pos++;
+        result.push(parseInline(rest, lineNum));
+      }
+    }
+    return result;
+  }
+
+  if (lines.length == 0) return null;
+  const result = parseBlock(lines[0].indent);
+  if (pos < lines.length) throw yamlError('unexpected indentation', lines[pos].lineNum);
+  return result;
+}
@@ -0,0 +1,223 @@
+// read yarn.lock of yarn classic (v1) and yarn berry (v2+)
+// the result is a "lockgraph" like in pnpmLock.js, see walk_lockgraph in walk.js
+//
+// yarn classic:
+// "a@^1.0.0", "a@^1.1.0":
+//   version "1.2.0"
+//   resolved "https://registry.yarnpkg.com/a/-/a-1.2.0.tgz#<hex sha1>"
+//   integrity sha512-...
+//   dependencies:
+//     b "^2.0.0"
+//
+// yarn berry is YAML:
+// "a@npm:^1.0.0, a@npm:^1.1.0":
+//   version: 1.2.0
+//   resolution: "a@npm:1.2.0"
+//   dependencies:
+//     b: "npm:^2.0.0"
+//   checksum: 10c0/<hex>
+//   conditions: os=linux & cpu=x64
+//
+// berry checksums are hashes of the zip archives in the yarn cache, not of the npm tarballs
+// so berry packages have no integrity value, and the checksum is only kept for reference
+
+import { parseYaml } from './yaml.js';
+import { splitDescriptor, tarballUrl } from './descriptor.js';
+
+function unquote(str) {
+  return str.startsWith('"') ? JSON.parse(str) : str;
+}
+
+// '"a@^1.0.0", a@^1.1.0' -> ['a@^1.0.0', 'a@^1.1.0']
+function splitKeys(str) {
+  return (str.match(/"(?:[^"\\]|\\.)*"|[^,]+/g) || []).map(key => unquote(key.trim())).filter(Boolean);
+}
+
+export function parseYarnClassic(text) {
+  const result = {};
+  const stack = [{ indent: -1, obj: result }];
+  text.split(/\r?\n/).forEach((line, idx) => {
+    if (/^\s*(#|$)/.test(line)) return;
+    const indent = line.length - line.trimStart().length;
+    while (indent <= stack[stack.length - 1].indent) stack.pop();
+    const parent = stack[stack.length - 1].obj;
+    const content = line.trim();
+    if (content.endsWith(':')) {
+      // one entry for multiple keys
+      const obj = {};
+      for (const key of splitKeys(content.slice(0, -1))) parent[key] = obj;
+      stack.push({ indent, obj });
+      return;
+    }
+    const match = content.match(/^("(?:[^"\\]|\\.)*"|\S+)\s+(.*)$/);
+    if (!match) {
+      throw new Error(`yarn.lock: line ${idx + 1}: expected "key value", got ${JSON.stringify(content)}`);
+    }
+    parent[unquote(match[1])] = unquote(match[2]);
+  });
+  return result;
+}
+
+// yarn berry: split "a@npm:^1.0.0, a@npm:^1.1.0" keys
+function berryEntries(lock) {
+  const result = {};
+  for (const [keys, entry] of Object.entries(lock)) {
+    if (keys == '__metadata') continue;
+    for (const key of splitKeys(keys)) result[key] = entry;
+  }
+  return result;
+}
+
+// descriptor -> entry. entries with multiple keys are shared
+export function yarnLockEntries(text) {
+  const isBerry = /^__metadata:/m.test(text);
+  const entries = isBerry ? berryEntries(parseYaml(text) || {}) : parseYarnClassic(text);
+  return { isBerry, entries };
+}
+
+// "os=linux & cpu=x64" -> { os: ['linux'], cpu: ['x64'] }
+function parseConditions(conditions) {
+  const result = {};
+  for (const condition of String(conditions || '').split('&')) {
+    const match = condition.trim().match(/^(os|cpu|libc)=(.+)$/);
+    if (match) (result[match[1]] = result[match[1]] || []).push(match[2]);
+  }
+  return result;
+}
+
+// text: content of yarn.lock
+// opts.pkg: parsed package.json. yarn.lock has no root entry (classic)
+// or mixes devDependencies with dependencies (berry)
+// opts.prod: skip devDependencies of the root package
+// opts.dev: only devDependencies of the root package
+export function parseYarnLock(text, opts = {}) {
+  const { isBerry, entries } = yarnLockEntries(text);
+  const pkg = opts.pkg || {};
+
+  const nodes = {};
+  const warnings = [];
+  // entry -> id
+  const idOfEntry = new Map();
+  // id -> names of its optional dependencies
+  const optionalDepsOf = new Map();
+  // ids with at least one required incoming edge
+  // a package is optional only when every package which requires it has it as an optional dependency
+  const requiredIds = new Set();
+
+  // returns null for unsupported entries
+  function nodeOf(descriptor, entry) {
+    if (idOfEntry.has(entry)) return idOfEntry.get(entry);
+    let [name, range] = splitDescriptor(descriptor);
+    let node;
+    if (isBerry) {
+      // "string-width@npm:4.2.3"
+      const [resolutionName, reference] = splitDescriptor(entry.resolution);
+      name = resolutionName;
+      const protocol = reference.replace(/:.*/, '');
+      const resolved = (
+        protocol == 'npm' ? tarballUrl(name, String(entry.version)) :
+        (protocol == 'https' || protocol == 'http' || protocol == 'file') ? reference :
+        null
+      );
+      if (!resolved) {
+        warnings.push(`${descriptor}: unsupported resolution ${entry.resolution}`);
+        idOfEntry.set(entry, null);
+        return null;
+      }
+      node = {
+        name,
+        version: String(entry.version),
+        resolved,
+        integrity: '',
+        checksum: entry.checksum,
+        ...parseConditions(entry.conditions),
+        // yarn classic has no peerDependencies in yarn.lock, so only berry peers are resolved
+        peerDependencies: entry.peerDependencies,
+        peerDependenciesMeta: entry.peerDependenciesMeta,
+        deps: entry.dependencies || {},
+      };
+    }
+    else {
+      // npm alias: "string-width-cjs@npm:string-width@4.2.3"
+      if (range.startsWith('npm:')) name = splitDescriptor(range.slice('npm:'.length))[0];
+      // "https://registry.yarnpkg.com/a/-/a-1.2.0.tgz#<hex sha1>"
+      const [resolved, hash] = String(entry.resolved || '').split('#');
+      node = {
+        name,
+        version: String(entry.version),
+        resolved,
+        integrity: entry.integrity || hash || '',
+        deps: { ...entry.dependencies, ...entry.optionalDependencies },
+      };
+    }
+    // entries with the same name and version are the same package
+    const id = `${node.name}@${node.version}`;
+    if (!nodes[id]) {
+      nodes[id] = node;
+      optionalDepsOf.set(id, new Set(isBerry
+        ? Object.entries(entry.dependenciesMeta || {}).filter(([, meta]) => meta && meta.optional).map(([depName]) => depName)
+        : Object.keys(entry.optionalDependencies || {})
+      ));
+    }
+    idOfEntry.set(entry, id);
+    return id;
+  }
+
+  // { name: range } -> { linkName: id }
+  // optionalDeps: names of the optional dependencies of the parent
+  function depsOf(deps, parentName, optionalDeps, isRoot) {
+    const result = {};
+    for (const [linkName, range] of Object.entries(deps || {})) {
+      // package.json "a": "^1.0.0" is "a@npm:^1.0.0" in berry
+      const reference = (isBerry && isRoot && !/^[a-z]+:/.test(range)) ? `npm:${range}` : range;
+      const descriptor = `${linkName}@${reference}`;
+      const entry = entries[descriptor];
+      const isOptional = optionalDeps.has(linkName);
+      if (!entry) {
+        if (isOptional) continue;
+        throw new Error(`${parentName}: ${descriptor} not found in yarn.lock`);
+      }
+      const id = nodeOf(descriptor, entry);
+      if (!id) continue;
+      result[linkName] = id;
+      if (!isOptional) requiredIds.add(id);
+    }
+    return result;
+  }
+
+  // devDependencies are required to build the root package from source
+  // so we only skip them with --prod
+  const rootDevDeps = opts.prod ? {} : pkg.devDependencies;
+  const rootDeps = opts.dev ? {} : pkg.dependencies;
+  const rootOptionalDeps = new Set(Object.keys(opts.dev ? {} : pkg.optionalDependencies || {})
+    .filter(name => !(name in (rootDeps || {})) && !(name in (rootDevDeps || {}))));
+  const root = {
+    name: pkg.name || 'package',
+    version: pkg.version || '0.0.0',
+    deps: depsOf({
+      ...rootDevDeps,
+      ...(opts.dev ? {} : pkg.optionalDependencies),
+      ...rootDeps,
+    }, pkg.name || 'package', rootOptionalDeps, true),
+  };
+
+  // resolve the dependencies of all reachable nodes
+  const todo = Object.values(root.deps);
+  const done = new Set();
+  while (todo.length > 0) {
+    const id = todo.pop();
+    if (done.has(id)) continue;
+    done.add(id);
+    const node = nodes[id];
+    node.deps = depsOf(node.deps, id, optionalDepsOf.get(id), false);
+    todo.push(...Object.values(node.deps));
+  }
+
+  for (const [id, node] of Object.entries(nodes)) {
+    node.optional = !requiredIds.has(id);
+    node.peerSuffix = '';
+  }
+
+  // berry checksums can not verify tarballs
+  return { root, nodes, warnings, hasIntegrity: !isBerry };
+}